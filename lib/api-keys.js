@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// API keys with per-key limits and usage accounting. Keys are defined in a JSON file (see
+// scripts/create-api-key.js), which is re-read when it changes:
+//   [{ "id": "storefront", "name": "Storefront", "keySha256": "<hex>",
+//      "rateLimit": { "requests": 60, "perSeconds": 60 }, "dailyImages": 1000,
+//      "allowedOrigins": ["https://shop.example.com"], "admin": false }]
+// Only the SHA-256 of each key is stored. Rate limits and reservations are held in memory;
+// usage totals are persisted to a second JSON file.
+
+const DAYS_KEPT = 31; // daily usage history kept per key
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// A new random key, shown once when it is created
+function generateKey() {
+  return `jk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// UTC calendar day of a timestamp, as YYYY-MM-DD
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function emptyUsage() {
+  return { requests: 0, images: 0, bytesIn: 0, bytesOut: 0 };
+}
+
+class ApiKeys {
+  constructor({ file, usageFile }) {
+    this.file = file;
+    this.usageFile = usageFile;
+    this.keys = [];
+    this.keysLoadedAt = null;
+    this.buckets = new Map(); // key id -> { tokens, updatedAt }
+    this.reserved = new Map(); // key id -> images being processed
+
+    fs.mkdirSync(path.dirname(usageFile), { recursive: true });
+  }
+
+  // Current key definitions, re-read when the file changes
+  list() {
+    let modifiedAt = null;
+    try {
+      modifiedAt = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      // no key file: authentication is disabled
+    }
+
+    if (modifiedAt !== this.keysLoadedAt) {
+      const keys = modifiedAt === null ? [] : JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!Array.isArray(keys) || keys.some(key => !key || !key.id || !key.keySha256)) {
+        throw new Error(`Invalid API key file ${this.file}: expected an array of keys with id and keySha256`);
+      }
+      this.keys = keys;
+      this.keysLoadedAt = modifiedAt;
+    }
+    return this.keys;
+  }
+
+  get enabled() {
+    return this.list().length > 0;
+  }
+
+  // The key definition for a secret, or null
+  authenticate(secret) {
+    if (!secret) {
+      return null;
+    }
+    const digest = Buffer.from(hashKey(secret), 'hex');
+    return this.list().find(key => {
+      const stored = Buffer.from(key.keySha256 || '', 'hex');
+      return stored.length === digest.length && crypto.timingSafeEqual(stored, digest);
+    }) || null;
+  }
+
+  get(id) {
+    return this.list().find(key => key.id === id) || null;
+  }
+
+  // Whether a browser origin may use a key; `*` allows any origin
+  allowsOrigin(key, origin) {
+    const origins = key.allowedOrigins || [];
+    return origins.includes('*') || origins.includes(origin);
+  }
+
+  // Whether any key allows a browser origin, for CORS preflight requests, which carry no key
+  anyAllowsOrigin(origin) {
+    return this.list().some(key => this.allowsOrigin(key, origin));
+  }
+
+  // Take one request from the key's token bucket. Returns 0 when allowed, otherwise the
+  // seconds until a request is available again.
+  takeRequest(key, now = Date.now()) {
+    if (!key.rateLimit) {
+      return 0;
+    }
+
+    const { requests, perSeconds } = key.rateLimit;
+    const refillPerMs = requests / (perSeconds * 1000);
+    const bucket = this.buckets.get(key.id) || { tokens: requests, updatedAt: now };
+    bucket.tokens = Math.min(requests, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key.id, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  // Reserve `count` images of the key's daily volume before processing them. Returns 0
+  // when reserved, otherwise the seconds until the limit resets at midnight UTC.
+  reserveImages(key, count, now = Date.now()) {
+    const reserved = this.reserved.get(key.id) || 0;
+    if (key.dailyImages !== undefined && key.dailyImages !== null) {
+      const today = this.usage(key.id).today;
+      if (today.images + reserved + count > key.dailyImages) {
+        const midnight = new Date(now);
+        midnight.setUTCHours(24, 0, 0, 0);
+        return Math.ceil((midnight.getTime() - now) / 1000);
+      }
+    }
+    this.reserved.set(key.id, reserved + count);
+    return 0;
+  }
+
+  releaseImages(key, count) {
+    this.reserved.set(key.id, Math.max(0, (this.reserved.get(key.id) || 0) - count));
+  }
+
+  readUsage() {
+    if (!fs.existsSync(this.usageFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+  }
+
+  // Add to a key's usage counters: { requests, images, bytesIn, bytesOut }
+  record(key, counts, now = Date.now()) {
+    const all = this.readUsage();
+    const usage = all[key.id] || { total: emptyUsage(), days: {} };
+    const day = dayOf(now);
+    usage.days[day] = usage.days[day] || emptyUsage();
+
+    Object.keys(emptyUsage()).forEach(counter => {
+      usage.total[counter] += counts[counter] || 0;
+      usage.days[day][counter] += counts[counter] || 0;
+    });
+
+    // Keep only the most recent days
+    Object.keys(usage.days).sort().slice(0, -DAYS_KEPT).forEach(oldDay => delete usage.days[oldDay]);
+
+    all[key.id] = usage;
+    const tempPath = `${this.usageFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(all, null, 2));
+    fs.renameSync(tempPath, this.usageFile);
+  }
+
+  // A key's usage: { total, today, days } with the counters of record()
+  usage(id, now = Date.now()) {
+    const usage = this.readUsage()[id] || { total: emptyUsage(), days: {} };
+    return { total: usage.total, today: usage.days[dayOf(now)] || emptyUsage(), days: usage.days };
+  }
+
+  // A key's definition and usage, without its hash
+  describe(key) {
+    return {
+      id: key.id,
+      name: key.name || key.id,
+      admin: Boolean(key.admin),
+      rateLimit: key.rateLimit || null,
+      dailyImages: key.dailyImages ?? null,
+      allowedOrigins: key.allowedOrigins || [],
+      processing: this.reserved.get(key.id) || 0,
+      usage: this.usage(key.id)
+    };
+  }
+}
+
+module.exports = {
+  ApiKeys,
+  hashKey,
+  generateKey
+};
@@ -0,0 +1,161 @@
+const sharp = require('sharp');
+const { parseBoolean } = require('./parameters');
+
+// Background removal for opaque uploads, such as a JPEG of a jersey on a studio backdrop.
+// The background colour is taken from the image border, flood-filled to transparency from
+// the edges within a colour tolerance, and the cut edge is feathered so stacked panels
+// overlap without a hard fringe. Runs before trimming, which only sees transparency.
+
+const DEFAULT_TOLERANCE = 32; // largest per-channel difference (0-255) still counted as background
+const DEFAULT_FEATHER = 1; // blur radius of the edge, in pixels; 0 keeps a hard edge
+const MAX_FEATHER = 20;
+
+// Validate raw background removal parameters; returns null when removal was not requested
+function parseBackgroundRemoval({ removeBackground, backgroundTolerance, backgroundFeather } = {}) {
+  if (!parseBoolean(removeBackground)) {
+    return null;
+  }
+
+  const options = { tolerance: DEFAULT_TOLERANCE, feather: DEFAULT_FEATHER };
+
+  if (backgroundTolerance !== undefined && backgroundTolerance !== '') {
+    options.tolerance = Number(backgroundTolerance);
+    if (!Number.isInteger(options.tolerance) || options.tolerance < 0 || options.tolerance > 255) {
+      throw new Error('backgroundTolerance must be an integer between 0 and 255');
+    }
+  }
+
+  if (backgroundFeather !== undefined && backgroundFeather !== '') {
+    options.feather = Number(backgroundFeather);
+    if (!Number.isFinite(options.feather) || options.feather < 0 || options.feather > MAX_FEATHER) {
+      throw new Error(`backgroundFeather must be a number between 0 and ${MAX_FEATHER}`);
+    }
+  }
+
+  return options;
+}
+
+// Median RGBA of the one-pixel border, as the background colour estimate
+function detectBorderColour(data, width, height) {
+  const samples = [[], [], [], []];
+  const sample = (x, y) => {
+    const idx = (y * width + x) * 4;
+    for (let c = 0; c < 4; c++) {
+      samples[c].push(data[idx + c]);
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+
+  return samples.map(values => {
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  });
+}
+
+// Mark every pixel connected to the border whose colour is within tolerance of the background.
+// Returns a mask with 0 for background and 255 for content.
+function floodFillBackground(data, width, height, colour, tolerance) {
+  const mask = new Uint8Array(width * height).fill(255);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  const matches = pixel => {
+    const idx = pixel * 4;
+    return Math.abs(data[idx] - colour[0]) <= tolerance &&
+      Math.abs(data[idx + 1] - colour[1]) <= tolerance &&
+      Math.abs(data[idx + 2] - colour[2]) <= tolerance;
+  };
+  const visit = pixel => {
+    if (mask[pixel] === 255 && matches(pixel)) {
+      mask[pixel] = 0;
+      queue[tail++] = pixel;
+    }
+  };
+
+  // Seed from every matching border pixel, so backgrounds split by the garment are all reached
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const pixel = queue[head++];
+    const x = pixel % width;
+    if (x > 0) {
+      visit(pixel - 1);
+    }
+    if (x < width - 1) {
+      visit(pixel + 1);
+    }
+    if (pixel >= width) {
+      visit(pixel - width);
+    }
+    if (pixel < width * (height - 1)) {
+      visit(pixel + width);
+    }
+  }
+
+  return mask;
+}
+
+// Soften the mask edge inwards only: blurring spreads it both ways, and taking the minimum
+// with the hard mask keeps the background fully transparent instead of haloing it
+async function featherMask(mask, width, height, feather) {
+  if (feather <= 0) {
+    return mask;
+  }
+
+  const blurred = await sharp(Buffer.from(mask.buffer), { raw: { width, height, channels: 1 } })
+    .blur(Math.max(0.3, feather))
+    .extractChannel(0) // sharp widens single-channel input to sRGB
+    .raw()
+    .toBuffer();
+
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = Math.min(mask[i], blurred[i]);
+  }
+  return mask;
+}
+
+// Make the border-connected background of an image transparent.
+// `input` is a file path or buffer; resolves with the raw RGBA pixels as { data, info }.
+// Images whose border is already mostly transparent are returned unchanged.
+async function removeBackgroundRaw(input, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE, feather = DEFAULT_FEATHER } = options;
+  const { data, info } = await sharp(input)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const colour = detectBorderColour(data, width, height);
+  if (colour[3] < 128) {
+    return { data, info };
+  }
+
+  const mask = await featherMask(floodFillBackground(data, width, height, colour, tolerance), width, height, feather);
+  for (let pixel = 0; pixel < mask.length; pixel++) {
+    const idx = pixel * 4 + 3;
+    data[idx] = Math.round(data[idx] * mask[pixel] / 255);
+  }
+
+  return { data, info };
+}
+
+module.exports = {
+  parseBackgroundRemoval,
+  removeBackgroundRaw
+};
@@ -0,0 +1,100 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Collar overlay assets, stored as PNG files with a JSON index.
+// The legacy assets/Jersey-Collar.png is exposed as the built-in `default` collar.
+class CollarLibrary {
+  constructor({ directory, defaultCollarPath = null }) {
+    this.directory = directory;
+    this.defaultCollarPath = defaultCollarPath;
+    this.indexPath = path.join(directory, 'collars.json');
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  readIndex() {
+    if (!fs.existsSync(this.indexPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+  }
+
+  writeIndex(collars) {
+    fs.writeFileSync(this.indexPath, JSON.stringify(collars, null, 2));
+  }
+
+  builtIn() {
+    if (!this.defaultCollarPath || !fs.existsSync(this.defaultCollarPath)) {
+      return null;
+    }
+    return {
+      id: 'default',
+      name: path.basename(this.defaultCollarPath, path.extname(this.defaultCollarPath)),
+      style: null,
+      builtIn: true
+    };
+  }
+
+  list() {
+    const builtIn = this.builtIn();
+    return builtIn ? [builtIn, ...this.readIndex()] : this.readIndex();
+  }
+
+  get(id) {
+    return this.list().find(collar => collar.id === id) || null;
+  }
+
+  // Absolute path of a collar's image file, or null when the collar does not exist
+  resolvePath(id) {
+    const collar = this.get(id);
+    if (!collar) {
+      return null;
+    }
+    return collar.builtIn ? this.defaultCollarPath : path.join(this.directory, collar.filename);
+  }
+
+  // Store an uploaded image as a new collar; the source file is converted to PNG
+  async add(sourcePath, { name, style = null, createdBy = null }) {
+    const id = uuidv4();
+    const filename = `${id}.png`;
+    const info = await sharp(sourcePath)
+      .ensureAlpha()
+      .png()
+      .toFile(path.join(this.directory, filename));
+
+    const collar = {
+      id,
+      name,
+      style,
+      filename,
+      width: info.width,
+      height: info.height,
+      createdAt: new Date(),
+      createdBy
+    };
+
+    this.writeIndex([...this.readIndex(), collar]);
+    return collar;
+  }
+
+  // Delete an uploaded collar; returns false when it does not exist.
+  // The built-in collar cannot be deleted.
+  remove(id) {
+    const collars = this.readIndex();
+    const collar = collars.find(entry => entry.id === id);
+    if (!collar) {
+      return false;
+    }
+
+    const filePath = path.join(this.directory, collar.filename);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    this.writeIndex(collars.filter(entry => entry.id !== id));
+    return true;
+  }
+}
+
+module.exports = CollarLibrary;
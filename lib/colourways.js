@@ -0,0 +1,280 @@
+const sharp = require('sharp');
+const { parseHexColour, parseInteger } = require('./parameters');
+
+// Colourway variants: one uploaded design recoloured into home, away and third kits.
+// Each colourway maps source colours to target colours, given either as hex pairs or as
+// targets for the design's dominant colours, which are extracted from the trimmed front.
+// Pixels are matched to a source colour in a way that discounts brightness, so folds,
+// shadows and highlights are recoloured with their panel and keep their shading.
+
+const DEFAULT_PALETTE_SIZE = 4;
+const MAX_PALETTE_SIZE = 8;
+const MAX_COLOURWAYS = 8;
+const MAX_MAPPED_COLOURS = 16;
+const DEFAULT_TOLERANCE = 48; // largest colour distance (see colourDistance) still recoloured
+const MAX_TOLERANCE = 255;
+
+// Brightness differences count for this share of the distance; hue and saturation in full
+const LUMINANCE_WEIGHT = 0.5;
+
+// Keeps the brightness scaling in colourDistance stable for near-black pixels
+const DARK_OFFSET = 8;
+
+// Longest side of the image the palette is counted on
+const PALETTE_SAMPLE_SIZE = 256;
+
+// Pixels this opaque or more count towards the palette
+const PALETTE_MIN_ALPHA = 128;
+
+function toRgb(hex) {
+  return [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// One entry of the colourways parameter: { name, map: { source: target } } or
+// { name, colours: [target, ...] } for the extracted palette in order, null keeping a colour
+function parseColourway(entry, index, paletteSize) {
+  const label = `colourways[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object with a name and a map or colours`);
+  }
+  if (typeof entry.name !== 'string' || !/^[\w -]{1,40}$/.test(entry.name)) {
+    throw new Error(`${label}.name must be 1 to 40 letters, digits, spaces, hyphens or underscores`);
+  }
+  if ((entry.map === undefined) === (entry.colours === undefined)) {
+    throw new Error(`${label} must have either map or colours`);
+  }
+
+  if (entry.map !== undefined) {
+    if (!entry.map || typeof entry.map !== 'object' || Array.isArray(entry.map)) {
+      throw new Error(`${label}.map must be an object of source to target hex colours`);
+    }
+    const pairs = Object.entries(entry.map);
+    if (pairs.length > MAX_MAPPED_COLOURS) {
+      throw new Error(`${label}.map can map at most ${MAX_MAPPED_COLOURS} colours`);
+    }
+    const map = pairs.map(([source, target]) => ({
+      source: parseHexColour(source, `${label}.map key`),
+      target: parseHexColour(target, `${label}.map value`)
+    }));
+    if (new Set(map.map(pair => pair.source)).size < map.length) {
+      throw new Error(`${label}.map lists a source colour more than once`);
+    }
+    return { name: entry.name, map };
+  }
+
+  if (!Array.isArray(entry.colours) || entry.colours.length === 0 || entry.colours.length > paletteSize) {
+    throw new Error(`${label}.colours must be an array of 1 to ${paletteSize} hex colours (paletteSize)`);
+  }
+  return {
+    name: entry.name,
+    colours: entry.colours.map((colour, i) => (colour === null ? null : parseHexColour(colour, `${label}.colours[${i}]`)))
+  };
+}
+
+// Validate the raw colourway parameters: `colourways` as a JSON array (or already parsed),
+// `paletteSize` and `colourTolerance`. Returns null when no colourways were requested.
+function parseColourways({ colourways, paletteSize, colourTolerance } = {}) {
+  if (colourways === undefined || colourways === '') {
+    return null;
+  }
+
+  let entries = colourways;
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      throw new Error('colourways must be a JSON array');
+    }
+  }
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_COLOURWAYS) {
+    throw new Error(`colourways must be a JSON array of 1 to ${MAX_COLOURWAYS} colourways`);
+  }
+
+  const size = parseInteger(paletteSize, 'paletteSize', 1, MAX_PALETTE_SIZE, DEFAULT_PALETTE_SIZE);
+  const variants = entries.map((entry, index) => parseColourway(entry, index, size));
+  const names = new Set(variants.map(variant => variant.name.toLowerCase()));
+  if (names.size < variants.length) {
+    throw new Error('colourways must have different names');
+  }
+
+  return {
+    variants,
+    paletteSize: size,
+    tolerance: parseInteger(colourTolerance, 'colourTolerance', 1, MAX_TOLERANCE, DEFAULT_TOLERANCE)
+  };
+}
+
+// Distance from a pixel to a source colour. The pixel's hue and saturation are compared at
+// the source's brightness, and the brightness difference itself only counts in part, so a
+// shadowed or highlighted area stays close to its flat colour.
+function colourDistance(r, g, b, source) {
+  const pixelLuminance = luminance(r, g, b);
+  const scale = (source.luminance + DARK_OFFSET) / (pixelLuminance + DARK_OFFSET);
+  const dr = (r - pixelLuminance) * scale - (source.rgb[0] - source.luminance);
+  const dg = (g - pixelLuminance) * scale - (source.rgb[1] - source.luminance);
+  const db = (b - pixelLuminance) * scale - (source.rgb[2] - source.luminance);
+  const dl = (pixelLuminance - source.luminance) * LUMINANCE_WEIGHT;
+  return Math.sqrt(dr * dr + dg * dg + db * db + dl * dl);
+}
+
+function describeColour(hex) {
+  const rgb = toRgb(hex);
+  return { hex, rgb, luminance: luminance(...rgb) };
+}
+
+// The design's most common colours: opaque pixels are counted in 5-bit bins, and the
+// largest bins become palette colours unless they are within tolerance of one already
+// chosen. `share` is the fraction of the opaque area a colour's recolouring would reach.
+// Resolves with [{ colour, share }], most common first.
+async function extractPalette(buffer, size = DEFAULT_PALETTE_SIZE, tolerance = DEFAULT_TOLERANCE) {
+  // Nearest-neighbour sampling keeps edge pixels from blending into colours of their own
+  const { data } = await sharp(buffer)
+    .resize({
+      width: PALETTE_SAMPLE_SIZE,
+      height: PALETTE_SAMPLE_SIZE,
+      fit: 'inside',
+      withoutEnlargement: true,
+      kernel: sharp.kernel.nearest
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bins = new Map();
+  let opaque = 0;
+  for (let idx = 0; idx < data.length; idx += 4) {
+    if (data[idx + 3] < PALETTE_MIN_ALPHA) {
+      continue;
+    }
+    opaque++;
+    const key = (data[idx] >> 3) << 10 | (data[idx + 1] >> 3) << 5 | data[idx + 2] >> 3;
+    const bin = bins.get(key) || { count: 0, sums: [0, 0, 0] };
+    bin.count++;
+    bin.sums[0] += data[idx];
+    bin.sums[1] += data[idx + 1];
+    bin.sums[2] += data[idx + 2];
+    bins.set(key, bin);
+  }
+
+  const ranked = [...bins.values()]
+    .map(bin => ({ count: bin.count, rgb: bin.sums.map(sum => Math.round(sum / bin.count)) }))
+    .sort((a, b) => b.count - a.count);
+
+  const palette = [];
+  for (const bin of ranked) {
+    if (palette.length === size) {
+      break;
+    }
+    if (palette.every(colour => colourDistance(...bin.rgb, colour) >= tolerance)) {
+      palette.push({ ...describeColour(toHex(bin.rgb)), count: 0 });
+    }
+  }
+
+  // Credit every bin to the nearest palette colour it would be recoloured with
+  for (const bin of ranked) {
+    let nearest = null;
+    let nearestDistance = tolerance;
+    palette.forEach(colour => {
+      const distance = colourDistance(...bin.rgb, colour);
+      if (distance < nearestDistance) {
+        nearest = colour;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest) {
+      nearest.count += bin.count;
+    }
+  }
+
+  return palette.map(colour => ({
+    colour: colour.hex,
+    share: opaque ? Math.round((colour.count / opaque) * 1000) / 1000 : 0
+  }));
+}
+
+// The [{ source, target }] pairs of a parsed colourway, with `colours` lined up against
+// the extracted palette. Throws when it lists more colours than the design has.
+function resolveColourMapping(variant, palette) {
+  if (variant.map) {
+    return variant.map;
+  }
+  if (variant.colours.length > palette.length) {
+    throw new Error(`Colourway ${variant.name} lists ${variant.colours.length} colours but the design has ${palette.length}`);
+  }
+  return variant.colours
+    .map((target, index) => ({ source: palette[index].colour, target }))
+    .filter(pair => pair.target !== null);
+}
+
+// A target colour shaded like the pixel is against its source: darker pixels scale the
+// target down towards black, lighter ones move it up towards white by the same proportion
+function shade(target, sourceLuminance, pixelLuminance, channel) {
+  if (pixelLuminance < sourceLuminance) {
+    return target[channel] * (pixelLuminance / sourceLuminance);
+  }
+  if (pixelLuminance > sourceLuminance) {
+    return target[channel] + (255 - target[channel]) * ((pixelLuminance - sourceLuminance) / (255 - sourceLuminance));
+  }
+  return target[channel];
+}
+
+// Recolour a panel (PNG with alpha) with a colourway's { mapping, tolerance }. Each pixel takes
+// the target of its nearest source colour within tolerance, shaded as it was; pixels in the
+// outer half of the tolerance are blended so anti-aliased edges between colours stay smooth.
+// Transparency is left as it is.
+async function recolourPanel(buffer, { mapping, tolerance }) {
+  if (mapping.length === 0) {
+    return buffer;
+  }
+
+  const pairs = mapping.map(({ source, target }) => ({ ...describeColour(source), target: toRgb(target) }));
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  for (let idx = 0; idx < data.length; idx += 4) {
+    if (data[idx + 3] === 0) {
+      continue;
+    }
+    const r = data[idx];
+    const g = data[idx + 1];
+    const b = data[idx + 2];
+
+    let nearest = null;
+    let nearestDistance = tolerance;
+    for (const pair of pairs) {
+      const distance = colourDistance(r, g, b, pair);
+      if (distance < nearestDistance) {
+        nearest = pair;
+        nearestDistance = distance;
+      }
+    }
+    if (!nearest) {
+      continue;
+    }
+
+    const weight = Math.min(1, (2 * (tolerance - nearestDistance)) / tolerance);
+    const pixelLuminance = luminance(r, g, b);
+    [r, g, b].forEach((value, channel) => {
+      const shaded = shade(nearest.target, nearest.luminance, pixelLuminance, channel);
+      data[idx + channel] = Math.round(value + (shaded - value) * weight);
+    });
+  }
+
+  return sharp(data, { raw: info }).png().toBuffer();
+}
+
+module.exports = {
+  DEFAULT_PALETTE_SIZE,
+  DEFAULT_TOLERANCE,
+  parseColourways,
+  extractPalette,
+  resolveColourMapping,
+  recolourPanel
+};
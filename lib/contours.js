@@ -0,0 +1,256 @@
+// Contour tracing for cut lines: the outline of every opaque region of an alpha mask as a
+// closed polygon, optionally grown outwards, simplified and smoothed. Outlines follow the
+// pixel edges, so diagonal neighbours count as separate regions, and run clockwise around
+// regions and anticlockwise around holes (with y pointing down).
+
+// Direction steps, clockwise: right, down, left, up
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+// Regions and holes smaller than this many square pixels are specks, not outlines to cut
+const MIN_AREA = 16;
+
+// Largest distance a simplified outline may stray from the traced pixel edges, in pixels
+const SIMPLIFY_TOLERANCE = 1;
+
+const FAR = 1e20;
+
+// One pass of the exact squared Euclidean distance transform (Felzenszwalb and
+// Huttenlocher) along a row or column: `f` holds the squared distances so far
+function distanceTransform1d(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  const intersection = q => ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+  for (let q = 1; q < n; q++) {
+    let s = intersection(q);
+    while (s <= z[k]) {
+      k--;
+      s = intersection(q);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) {
+      k++;
+    }
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+// Grow the inside of a width x height grid (1 for inside) by `radius` pixels, measured
+// between pixel centres
+function dilate(grid, width, height, radius) {
+  const distances = new Float64Array(width * height);
+  for (let i = 0; i < grid.length; i++) {
+    distances[i] = grid[i] ? 0 : FAR;
+  }
+
+  const longest = Math.max(width, height);
+  const f = new Float64Array(longest);
+  const d = new Float64Array(longest);
+  const v = new Int32Array(longest);
+  const z = new Float64Array(longest + 1);
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      f[y] = distances[y * width + x];
+    }
+    distanceTransform1d(f, height, d, v, z);
+    for (let y = 0; y < height; y++) {
+      distances[y * width + x] = d[y];
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      f[x] = distances[row + x];
+    }
+    distanceTransform1d(f, width, d, v, z);
+    for (let x = 0; x < width; x++) {
+      grid[row + x] = d[x] <= radius * radius ? 1 : 0;
+    }
+  }
+}
+
+// Follow the pixel edges between inside and outside into closed loops of corner points.
+// The grid must have an outside border, so every edge has a vertex on both sides.
+function traceEdges(grid, width, height) {
+  const stride = width + 1;
+  // Up to two edges leave a vertex: two only where inside pixels touch diagonally
+  const edges = new Int8Array(stride * (height + 1) * 2).fill(-1);
+  const addEdge = (x, y, direction) => {
+    const slot = (y * stride + x) * 2;
+    edges[edges[slot] === -1 ? slot : slot + 1] = direction;
+  };
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (!grid[y * width + x]) {
+        continue;
+      }
+      if (!grid[(y - 1) * width + x]) {
+        addEdge(x, y, 0);
+      }
+      if (!grid[y * width + x + 1]) {
+        addEdge(x + 1, y, 1);
+      }
+      if (!grid[(y + 1) * width + x]) {
+        addEdge(x + 1, y + 1, 2);
+      }
+      if (!grid[y * width + x - 1]) {
+        addEdge(x, y + 1, 3);
+      }
+    }
+  }
+
+  // Take an edge leaving a vertex. Where there are two, turn right, keeping to the region
+  // the loop is already following.
+  const takeEdge = (vertex, incoming) => {
+    const slot = vertex * 2;
+    let pick = slot;
+    if (edges[slot + 1] !== -1 && edges[slot + 1] === (incoming + 1) % 4) {
+      pick = slot + 1;
+    }
+    const direction = edges[pick];
+    edges[pick] = edges[slot + 1];
+    edges[slot + 1] = -1;
+    return direction;
+  };
+
+  const loops = [];
+  const follow = start => {
+    const points = [];
+    let vertex = start;
+    let direction = takeEdge(vertex, 0);
+    const first = direction;
+    let previous = -1;
+    while (direction !== -1) {
+      if (direction !== previous) {
+        points.push([vertex % stride, Math.floor(vertex / stride)]);
+      }
+      previous = direction;
+      vertex += STEPS[direction][1] * stride + STEPS[direction][0];
+      direction = takeEdge(vertex, direction);
+    }
+    // The walk ends back at its start; drop the start when the loop runs straight through it
+    if (points.length > 1 && previous === first) {
+      points.shift();
+    }
+    loops.push(points);
+  };
+
+  // Start from vertices with a single edge, so a loop never runs on into a neighbour's
+  for (let pass = 0; pass < 2; pass++) {
+    for (let vertex = 0; vertex < edges.length / 2; vertex++) {
+      while (edges[vertex * 2] !== -1 && (pass === 1 || edges[vertex * 2 + 1] === -1)) {
+        follow(vertex);
+      }
+    }
+  }
+  return loops;
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Ramer-Douglas-Peucker simplification of an open chain of points
+function simplifyChain(points, tolerance) {
+  if (points.length < 3) {
+    return points;
+  }
+  let farthest = 0;
+  let farthestDistance = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], points[0], points[points.length - 1]);
+    if (distance > farthestDistance) {
+      farthest = i;
+      farthestDistance = distance;
+    }
+  }
+  if (farthestDistance <= tolerance) {
+    return [points[0], points[points.length - 1]];
+  }
+  const head = simplifyChain(points.slice(0, farthest + 1), tolerance);
+  return head.slice(0, -1).concat(simplifyChain(points.slice(farthest), tolerance));
+}
+
+// Simplify a closed loop by splitting it at the point farthest from its start
+function simplifyLoop(points, tolerance) {
+  let farthest = 0;
+  let farthestDistance = 0;
+  points.forEach(([x, y], i) => {
+    const distance = Math.hypot(x - points[0][0], y - points[0][1]);
+    if (distance > farthestDistance) {
+      farthest = i;
+      farthestDistance = distance;
+    }
+  });
+  const first = simplifyChain(points.slice(0, farthest + 1), tolerance);
+  const second = simplifyChain(points.slice(farthest).concat([points[0]]), tolerance);
+  return first.slice(0, -1).concat(second.slice(0, -1));
+}
+
+// Chaikin corner cutting: each pass replaces every corner with two points a quarter of the
+// way along its edges, rounding the loop off
+function smoothLoop(points, passes) {
+  let loop = points;
+  for (let pass = 0; pass < passes; pass++) {
+    const next = [];
+    loop.forEach(([x1, y1], i) => {
+      const [x2, y2] = loop[(i + 1) % loop.length];
+      next.push([0.75 * x1 + 0.25 * x2, 0.75 * y1 + 0.25 * y2], [0.25 * x1 + 0.75 * x2, 0.25 * y1 + 0.75 * y2]);
+    });
+    loop = next;
+  }
+  return loop;
+}
+
+// Outlines of a width x height single-channel mask: pixels at `threshold` or above are inside.
+// offset grows the regions by that many pixels first; smoothing is the number of corner
+// cutting passes. Returns closed loops of [x, y] points, in mask pixel coordinates, which can
+// extend past the mask by up to the offset.
+function traceContours(mask, width, height, { threshold = 128, offset = 0, smoothing = 0 } = {}) {
+  // A border of outside pixels, wide enough for the offset, so every outline closes
+  const pad = Math.ceil(offset) + 1;
+  const gridWidth = width + 2 * pad;
+  const gridHeight = height + 2 * pad;
+  const grid = new Uint8Array(gridWidth * gridHeight);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      grid[(y + pad) * gridWidth + x + pad] = mask[y * width + x] >= threshold ? 1 : 0;
+    }
+  }
+
+  if (offset > 0) {
+    dilate(grid, gridWidth, gridHeight, offset);
+  }
+
+  return traceEdges(grid, gridWidth, gridHeight)
+    .filter(loop => Math.abs(polygonArea(loop)) >= MIN_AREA)
+    .map(loop => smoothLoop(simplifyLoop(loop, SIMPLIFY_TOLERANCE), smoothing))
+    .map(loop => loop.map(([x, y]) => [x - pad, y - pad]));
+}
+
+module.exports = {
+  traceContours
+};
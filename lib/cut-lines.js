@@ -0,0 +1,178 @@
+const sharp = require('sharp');
+const zlib = require('zlib');
+const { parseBoolean } = require('./parameters');
+
+// Cut-line export for cutting tools: the silhouette outlines traced by processJerseyImage
+// (see lib/contours.js) as an SVG of the paths alone, and as a PDF holding the raster
+// template with the paths stroked on top. In the PDF the paths use a `CutContour` spot
+// colour, the name cutter and print RIP software looks for, on their own `Cut lines` layer.
+// Both files are kept under cutlines/<imageId>/, so they are removed with their image.
+
+const CUT_LINE_PREFIX = 'cutlines/';
+
+const CUT_LINE_FORMATS = {
+  svg: { contentType: 'image/svg+xml', extension: 'svg' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const MAX_OFFSET = 500;
+const DEFAULT_SMOOTHING = 2;
+const MAX_SMOOTHING = 5;
+
+// Preview colour of the cut lines, and the stroke width in points (a hairline for cutters)
+const CUT_COLOUR = '#ff00ff';
+const STROKE_POINTS = 0.25;
+
+// Pixels per inch assumed for templates that were not exported for print, so that one pixel
+// is one point in the PDF
+const SCREEN_DPI = 72;
+
+// Validate raw cut-line parameters; returns null when cut lines were not requested
+function parseCutLineOptions({ cutLines, cutOffset, cutSmoothing } = {}) {
+  if (!parseBoolean(cutLines)) {
+    return null;
+  }
+
+  const options = { offset: 0, smoothing: DEFAULT_SMOOTHING };
+
+  if (cutOffset !== undefined && cutOffset !== '') {
+    options.offset = Number(cutOffset);
+    if (!Number.isFinite(options.offset) || options.offset < 0 || options.offset > MAX_OFFSET) {
+      throw new Error(`cutOffset must be a number of pixels between 0 and ${MAX_OFFSET}`);
+    }
+  }
+
+  if (cutSmoothing !== undefined && cutSmoothing !== '') {
+    options.smoothing = Number(cutSmoothing);
+    if (!Number.isInteger(options.smoothing) || options.smoothing < 0 || options.smoothing > MAX_SMOOTHING) {
+      throw new Error(`cutSmoothing must be an integer between 0 and ${MAX_SMOOTHING}`);
+    }
+  }
+
+  return options;
+}
+
+// Storage key of an image's cut lines in a CUT_LINE_FORMATS format
+function cutLineKey(imageId, format) {
+  return `${CUT_LINE_PREFIX}${imageId}/cut-lines.${CUT_LINE_FORMATS[format].extension}`;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// SVG of the cut lines ({ paths, dpi } from processJerseyImage) over a width x height
+// template, in template pixels. Print exports are given their physical size in millimetres.
+function renderCutLineSvg({ paths, dpi }, width, height) {
+  const size = dpi
+    ? { width: `${formatNumber((width / dpi) * 25.4)}mm`, height: `${formatNumber((height / dpi) * 25.4)}mm` }
+    : { width: String(width), height: String(height) };
+  const strokeWidth = formatNumber(((dpi || SCREEN_DPI) / 72) * STROKE_POINTS);
+
+  const elements = paths.map(path => {
+    const [start, ...rest] = path.map(([x, y]) => `${formatNumber(x)} ${formatNumber(y)}`);
+    return `    <path d="M${start}L${rest.join(' ')}Z"/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" viewBox="0 0 ${width} ${height}">`,
+    `  <g id="CutContour" fill="none" stroke="${CUT_COLOUR}" stroke-width="${strokeWidth}" stroke-linejoin="round">`,
+    ...elements,
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+// Assemble PDF objects (strings or { dictionary, stream } pairs, numbered from 1 in order;
+// object 1 is the catalog) into a file with its cross-reference table
+function buildPdf(objects) {
+  const chunks = [Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n', 'binary')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const write = chunk => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'binary');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    write(`${index + 1} 0 obj\n`);
+    if (typeof object === 'string') {
+      write(`${object}\n`);
+    } else {
+      write(`${object.dictionary.replace(/>>$/, `/Length ${object.stream.length} >>`)}\nstream\n`);
+      write(object.stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  });
+
+  const xref = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+// PDF of the encoded template with its cut lines ({ paths, dpi } from processJerseyImage)
+// stroked over it, on a page of the template's physical size. Resolves with the file.
+async function renderCutLinePdf(image, { paths, dpi }) {
+  const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const pixels = width * height;
+  const rgb = Buffer.alloc(pixels * 3);
+  const alpha = Buffer.alloc(pixels);
+  for (let i = 0; i < pixels; i++) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+    alpha[i] = data[i * 4 + 3];
+  }
+
+  // Points per pixel; PDF puts the origin at the bottom left
+  const scale = 72 / (dpi || SCREEN_DPI);
+  const pageWidth = formatNumber(width * scale);
+  const pageHeight = formatNumber(height * scale);
+  const point = ([x, y]) => `${formatNumber(x * scale)} ${formatNumber((height - y) * scale)}`;
+
+  const pathOperators = paths.map(path => {
+    const [start, ...rest] = path.map(point);
+    return [`${start} m`, ...rest.map(coordinates => `${coordinates} l`), 'h S'].join('\n');
+  });
+  const content = [
+    `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Template Do Q`,
+    '/OC /CutLines BDC',
+    `q /CutContour CS 1 SCN ${STROKE_POINTS} w 1 J 1 j`,
+    ...pathOperators,
+    'Q',
+    'EMC',
+    ''
+  ].join('\n');
+
+  const imageDictionary = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8 /Filter /FlateDecode`;
+  return buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [6 0 R] /D << /Order [6 0 R] /ON [6 0 R] >> >> >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /XObject << /Template 4 0 R >> /ColorSpace << /CutContour 7 0 R >> /Properties << /CutLines 6 0 R >> >> ' +
+      '/Contents 8 0 R >>',
+    { dictionary: `<< ${imageDictionary} /ColorSpace /DeviceRGB /SMask 5 0 R >>`, stream: zlib.deflateSync(rgb) },
+    { dictionary: `<< ${imageDictionary} /ColorSpace /DeviceGray >>`, stream: zlib.deflateSync(alpha) },
+    '<< /Type /OCG /Name (Cut lines) >>',
+    // Magenta when previewed or printed without a cutter
+    '[/Separation /CutContour /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [0 1 0 0] /N 1 >>]',
+    { dictionary: '<< /Filter /FlateDecode >>', stream: zlib.deflateSync(Buffer.from(content, 'binary')) }
+  ]);
+}
+
+module.exports = {
+  CUT_LINE_PREFIX,
+  CUT_LINE_FORMATS,
+  parseCutLineOptions,
+  cutLineKey,
+  renderCutLineSvg,
+  renderCutLinePdf
+};
@@ -0,0 +1,30 @@
+// Errors reported to API clients. Every error response has the same body:
+//   { "error": { "code": "invalid_parameter", "message": "gap must be ...", "details": { ... } } }
+// `code` is a stable identifier clients can branch on; `message` is for people and may change.
+// `details` is only present for errors that carry extra data, such as `retryAfter`.
+
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The JSON body of an error response
+function errorBody(error) {
+  return {
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details })
+    }
+  };
+}
+
+module.exports = {
+  ApiError,
+  errorBody
+};
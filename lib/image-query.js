@@ -0,0 +1,106 @@
+// Filtering and pagination for the processed image history (GET /api/images).
+// Works on the metadata records kept by the result cache.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_ORDERS = ['newest', 'oldest'];
+
+function parsePositiveInteger(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO 8601 date or time`);
+  }
+  return time;
+}
+
+// Validate raw query parameters: page, limit, sort (newest or oldest), the exact-match
+// filters layout, collarId and format, a case-insensitive `filename` substring, and a
+// `from` / `to` range on the processing time. Throws on invalid values.
+function parseImageQuery(query = {}) {
+  const limit = parsePositiveInteger(query.limit, 'limit', DEFAULT_LIMIT);
+  if (limit > MAX_LIMIT) {
+    throw new Error(`limit must be at most ${MAX_LIMIT}`);
+  }
+
+  const sort = query.sort || 'newest';
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  return {
+    page: parsePositiveInteger(query.page, 'page', 1),
+    limit,
+    sort,
+    layout: query.layout || null,
+    collarId: query.collarId || null,
+    format: query.format || null,
+    filename: query.filename ? String(query.filename).toLowerCase() : null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to')
+  };
+}
+
+function createdTime(record) {
+  return record.createdAt ? Date.parse(record.createdAt) : 0;
+}
+
+function matches(record, query) {
+  if (query.layout && record.layout !== query.layout) {
+    return false;
+  }
+  if (query.collarId && String(record.collarId) !== query.collarId) {
+    return false;
+  }
+  if (query.format && record.format !== query.format) {
+    return false;
+  }
+  if (query.filename) {
+    const filenames = Object.values(record.inputs || {}).map(input => (input.filename || '').toLowerCase());
+    if (!filenames.some(filename => filename.includes(query.filename))) {
+      return false;
+    }
+  }
+  if (query.from !== null && createdTime(record) < query.from) {
+    return false;
+  }
+  if (query.to !== null && createdTime(record) > query.to) {
+    return false;
+  }
+  return true;
+}
+
+// One page of the records matching a query from parseImageQuery
+function queryImages(records, query) {
+  const direction = query.sort === 'oldest' ? 1 : -1;
+  const matching = records
+    .filter(record => matches(record, query))
+    .sort((a, b) => direction * (createdTime(a) - createdTime(b)) || a.imageId.localeCompare(b.imageId));
+  const start = (query.page - 1) * query.limit;
+
+  return {
+    images: matching.slice(start, start + query.limit),
+    page: query.page,
+    limit: query.limit,
+    total: matching.length,
+    totalPages: Math.ceil(matching.length / query.limit)
+  };
+}
+
+module.exports = {
+  parseImageQuery,
+  queryImages
+};
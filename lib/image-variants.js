@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+const { OUTPUT_FORMATS, parseOutputOptions, encodeOutput } = require('./jersey-processor');
+
+// Resized derivatives of processed images, for previews and storefronts that do not need the
+// full-resolution template. A variant is described by its target box, fit and format, and
+// stored under variants/<imageId>/ so it is generated once and removed with its image.
+
+const VARIANT_PREFIX = 'variants/';
+const VARIANT_FITS = ['inside', 'contain', 'cover', 'fill', 'outside'];
+const DEFAULT_FIT = 'inside';
+const DEFAULT_MAX_SIZE = 2048;
+
+// Named variants; `preset=thumbnail` is generated for every image when it is processed
+const PRESETS = {
+  thumbnail: { width: 256, height: 256, fit: 'inside', format: 'webp' }
+};
+
+function parseDimension(value, name, maxSize) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > maxSize) {
+    throw new Error(`${name} must be a whole number of pixels between 1 and ${maxSize}`);
+  }
+  return number;
+}
+
+// Validate raw variant parameters (width, height, fit, format, or a preset whose values they
+// override). Returns null when none were given, meaning the original image. `format` is
+// null when the variant keeps the original's format. Throws on invalid values.
+function parseVariantOptions({ width, height, fit, format, preset } = {}, { maxSize = DEFAULT_MAX_SIZE } = {}) {
+  if ([width, height, fit, format, preset].every(value => value === undefined || value === '')) {
+    return null;
+  }
+
+  let defaults = {};
+  if (preset) {
+    defaults = PRESETS[preset];
+    if (!defaults) {
+      throw new Error(`Unknown preset: ${preset}. Use one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+  }
+
+  const variant = {
+    width: parseDimension(width, 'width', maxSize) || defaults.width || null,
+    height: parseDimension(height, 'height', maxSize) || defaults.height || null,
+    fit: fit || defaults.fit || DEFAULT_FIT,
+    format: format ? parseOutputOptions({ format }).format : defaults.format || null
+  };
+
+  if (!variant.width && !variant.height) {
+    throw new Error('A variant needs a width, a height or both');
+  }
+  if (!VARIANT_FITS.includes(variant.fit)) {
+    throw new Error(`fit must be one of: ${VARIANT_FITS.join(', ')}`);
+  }
+  return variant;
+}
+
+// Storage key of a variant; `variant.format` must be set
+function variantKey(imageId, variant) {
+  const size = `${variant.width || 'auto'}x${variant.height || 'auto'}`;
+  return `${VARIANT_PREFIX}${imageId}/${size}-${variant.fit}.${OUTPUT_FORMATS[variant.format].extension}`;
+}
+
+// Resize an encoded image into a variant. Images are never enlarged, so a box larger than
+// the original returns it at its own size. Resolves with the encoded buffer.
+async function renderVariant(input, variant) {
+  const image = sharp(input).resize({
+    width: variant.width || undefined,
+    height: variant.height || undefined,
+    fit: variant.fit,
+    withoutEnlargement: true,
+    background: { r: 0, g: 0, b: 0, alpha: 0 }
+  });
+  return encodeOutput(image, parseOutputOptions({ format: variant.format })).toBuffer();
+}
+
+module.exports = {
+  VARIANT_PREFIX,
+  VARIANT_FITS,
+  PRESETS,
+  parseVariantOptions,
+  variantKey,
+  renderVariant
+};
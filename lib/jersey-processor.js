@@ -0,0 +1,768 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const { applyPrintLayout, getPrintTransform } = require('./print-export');
+const { DEFAULT_LAYOUT, getLayout, arrangePanels, placeSleeves } = require('./layouts');
+const { applyPersonalisation } = require('./personalisation');
+const { parseBoolean, parseHexColour } = require('./parameters');
+const { removeBackgroundRaw } = require('./background-removal');
+const { recolourPanel } = require('./colourways');
+const { traceContours } = require('./contours');
+const { detectSeamGap } = require('./seam-gap');
+const { ApiError } = require('./errors');
+
+// Shared jersey template pipeline, used by both the API server and the CLI
+
+// Default gap between the back and front panels (negative values overlap them)
+const DEFAULT_GAP = -18;
+
+// Largest gap or overlap accepted, in pixels either way
+const MAX_GAP = 1000;
+
+// Validate a raw gap parameter: a whole number of pixels up to MAX_GAP either way, or `auto`
+// to detect the overlap from the panel silhouettes. Falls back to the default gap when omitted.
+function parseGap(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_GAP;
+  }
+  if (String(value).toLowerCase() === 'auto') {
+    return 'auto';
+  }
+  
+  const gap = Number(value);
+  if (!Number.isInteger(gap) || Math.abs(gap) > MAX_GAP) {
+    throw new Error(`gap must be a whole number of pixels between -${MAX_GAP} and ${MAX_GAP}, or auto`);
+  }
+  return gap;
+}
+
+// Supported output formats, with their file extension, content type and alpha support
+const OUTPUT_FORMATS = {
+  png: { extension: 'png', contentType: 'image/png', alpha: true },
+  webp: { extension: 'webp', contentType: 'image/webp', alpha: true },
+  avif: { extension: 'avif', contentType: 'image/avif', alpha: true },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', alpha: false },
+  tiff: { extension: 'tiff', contentType: 'image/tiff', alpha: true }
+};
+
+// Collar placement: scaled size, anchor point and pixel offsets from that anchor
+//  - seam: centred on the line where the back and front panels meet
+//  - top: top edge of the collar at the top of the template
+//  - center: centred on the whole template
+const COLLAR_ANCHORS = ['seam', 'top', 'center'];
+const DEFAULT_COLLAR_PLACEMENT = { scale: 0.5, offsetX: 0, offsetY: 0, anchor: 'seam' };
+const MAX_COLLAR_OFFSET = 5000;
+
+// Validate raw collar placement parameters (form fields or CLI flags)
+function parseCollarPlacement({ collarScale, collarOffsetX, collarOffsetY, collarAnchor } = {}) {
+  const placement = { ...DEFAULT_COLLAR_PLACEMENT };
+  
+  if (collarScale !== undefined && collarScale !== '') {
+    placement.scale = Number(collarScale);
+    if (!Number.isFinite(placement.scale) || placement.scale <= 0 || placement.scale > 4) {
+      throw new Error('collarScale must be a number greater than 0 and at most 4');
+    }
+  }
+  
+  for (const [key, value] of [['offsetX', collarOffsetX], ['offsetY', collarOffsetY]]) {
+    if (value !== undefined && value !== '') {
+      placement[key] = Number(value);
+      if (!Number.isInteger(placement[key]) || Math.abs(placement[key]) > MAX_COLLAR_OFFSET) {
+        throw new Error(`collar${key[0].toUpperCase()}${key.slice(1)} must be a whole number of pixels between -${MAX_COLLAR_OFFSET} and ${MAX_COLLAR_OFFSET}`);
+      }
+    }
+  }
+  
+  if (collarAnchor) {
+    placement.anchor = String(collarAnchor).toLowerCase();
+    if (!COLLAR_ANCHORS.includes(placement.anchor)) {
+      throw new Error(`Unsupported collar anchor: ${collarAnchor}. Use one of ${COLLAR_ANCHORS.join(', ')}`);
+    }
+  }
+  
+  return placement;
+}
+
+// Background used to flatten formats without alpha when no colour is given
+const DEFAULT_FLATTEN_BACKGROUND = '#ffffff';
+
+// Validate raw output parameters (form fields or CLI flags) into encoder options
+function parseOutputOptions({ format, quality, lossless, background } = {}) {
+  const output = { format: 'png', lossless: false };
+  
+  if (format) {
+    output.format = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+    if (!OUTPUT_FORMATS[output.format]) {
+      throw new Error(`Unsupported format: ${format}. Use one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+  }
+  
+  if (quality !== undefined && quality !== '') {
+    output.quality = Number(quality);
+    if (!Number.isInteger(output.quality) || output.quality < 1 || output.quality > 100) {
+      throw new Error('Quality must be an integer between 1 and 100');
+    }
+  }
+  
+  if (lossless !== undefined) {
+    output.lossless = parseBoolean(lossless);
+  }
+  if (output.lossless && output.format === 'jpeg') {
+    throw new Error('Lossless output is not supported for jpeg');
+  }
+  
+  if (background) {
+    output.background = parseHexColour(background, 'Background');
+  }
+  
+  return output;
+}
+
+// Apply the output format to a sharp pipeline; formats without alpha are flattened
+function encodeOutput(image, output = {}) {
+  const { format = 'png', quality, lossless = false, background } = output;
+  
+  if (background || !OUTPUT_FORMATS[format].alpha) {
+    image = image.flatten({ background: background || DEFAULT_FLATTEN_BACKGROUND });
+  }
+  
+  switch (format) {
+    case 'webp':
+      return image.webp({ quality, lossless });
+    case 'avif':
+      return image.avif({ quality, lossless });
+    case 'jpeg':
+      return image.jpeg({ quality, mozjpeg: true });
+    case 'tiff':
+      // TIFF is always written with lossless LZW compression
+      return image.tiff({ compression: 'lzw' });
+    default:
+      return image.png();
+  }
+}
+
+// Pixels with alpha above this count as content when positioning panels
+const CONTENT_ALPHA_THRESHOLD = 1;
+
+// Trimming is stricter, so faint noise around the artwork is cut away. Every edge of a
+// trimmed panel then holds content at the looser threshold too, so its bounds are the whole panel.
+const TRIM_ALPHA_THRESHOLD = 5;
+
+// Bounds object for an inclusive pixel box
+function makeBounds(left, top, right, bottom) {
+  return {
+    top,
+    bottom,
+    left,
+    right,
+    height: bottom - top + 1,
+    width: right - left + 1
+  };
+}
+
+// Bounds covering a whole image
+function fullBounds(width, height) {
+  return makeBounds(0, 0, width - 1, height - 1);
+}
+
+// Bounding box of pixels with alpha above `threshold` in raw RGBA data, or null when there are none.
+// Each edge is found in one pass in memory order: the top and bottom rows by scanning the alpha
+// bytes forwards and backwards, then the left and right columns by walking the rows in between,
+// only looking at the pixels outside the box found so far.
+function scanAlphaBounds(data, width, height, threshold = CONTENT_ALPHA_THRESHOLD) {
+  const rowBytes = width * 4;
+  
+  let first = -1;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > threshold) {
+      first = i;
+      break;
+    }
+  }
+  if (first === -1) {
+    return null;
+  }
+  
+  let last = first;
+  for (let i = data.length - 1; i > first; i -= 4) {
+    if (data[i] > threshold) {
+      last = i;
+      break;
+    }
+  }
+  
+  const top = Math.floor(first / rowBytes);
+  const bottom = Math.floor(last / rowBytes);
+  let left = (first % rowBytes - 3) / 4;
+  let right = Math.max(left, (last % rowBytes - 3) / 4);
+  left = Math.min(left, (last % rowBytes - 3) / 4);
+  
+  for (let y = top; y <= bottom; y++) {
+    const row = y * rowBytes + 3;
+    for (let x = 0; x < left; x++) {
+      if (data[row + x * 4] > threshold) {
+        left = x;
+        break;
+      }
+    }
+    for (let x = width - 1; x > right; x--) {
+      if (data[row + x * 4] > threshold) {
+        right = x;
+        break;
+      }
+    }
+  }
+  
+  return makeBounds(left, top, right, bottom);
+}
+
+// Bounds after mirroring an image of the given width left to right
+function flopBounds(bounds, width) {
+  return makeBounds(width - 1 - bounds.right, bounds.top, width - 1 - bounds.left, bounds.bottom);
+}
+
+// Bounds after a clockwise rotation by a multiple of 90 degrees of a width x height image
+function rotateBounds(bounds, width, height, angle) {
+  switch (((angle % 360) + 360) % 360) {
+    case 90:
+      return makeBounds(height - 1 - bounds.bottom, bounds.left, height - 1 - bounds.top, bounds.right);
+    case 180:
+      return makeBounds(width - 1 - bounds.right, height - 1 - bounds.bottom, width - 1 - bounds.left, height - 1 - bounds.top);
+    case 270:
+      return makeBounds(bounds.top, width - 1 - bounds.right, bounds.bottom, width - 1 - bounds.left);
+    default:
+      return bounds;
+  }
+}
+
+// Find the content bounds of an encoded image (ignoring transparent edges).
+// A fully transparent image is treated as all content.
+async function getContentBounds(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return scanAlphaBounds(data, info.width, info.height) || fullBounds(info.width, info.height);
+}
+
+// Trim transparent edges from an input image. With `backgroundRemoval` options an opaque
+// background is made transparent first, so there are edges to trim.
+// The image is decoded once; the trimmed panel is returned as PNG with its content bounds,
+// which cover the whole panel, and `source` holds the input size and the trimmed region
+// within it. Images without transparent edges fall back to sharp's colour-based trim,
+// which removes a uniform border.
+async function trimJerseyImage(inputPath, backgroundRemoval = null) {
+  const { data, info } = backgroundRemoval
+    ? await removeBackgroundRaw(inputPath, backgroundRemoval)
+    : await sharp(inputPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  
+  let image = sharp(data, { raw: info });
+  const bounds = scanAlphaBounds(data, info.width, info.height, TRIM_ALPHA_THRESHOLD);
+  const alphaTrimmed = bounds && (bounds.width < info.width || bounds.height < info.height);
+  if (alphaTrimmed) {
+    image = image.extract({ left: bounds.left, top: bounds.top, width: bounds.width, height: bounds.height });
+  } else {
+    image = image.trim({ threshold: 0 });
+  }
+  
+  const { data: buffer, info: trimmed } = await image.png().toBuffer({ resolveWithObject: true });
+  return {
+    buffer,
+    width: trimmed.width,
+    height: trimmed.height,
+    bounds: fullBounds(trimmed.width, trimmed.height),
+    source: {
+      width: info.width,
+      height: info.height,
+      // sharp reports the offsets of its own trim as negative numbers
+      trim: {
+        left: alphaTrimmed ? bounds.left : -(trimmed.trimOffsetLeft || 0),
+        top: alphaTrimmed ? bounds.top : -(trimmed.trimOffsetTop || 0),
+        width: trimmed.width,
+        height: trimmed.height
+      }
+    }
+  };
+}
+
+// Bring a panel to the target width, either by scaling or by centering it on transparent padding
+async function fitToWidth(buffer, targetWidth, mode = 'scale') {
+  const { width } = await sharp(buffer).metadata();
+  if (width === targetWidth) {
+    return buffer;
+  }
+  
+  if (mode === 'center') {
+    const padLeft = Math.floor((targetWidth - width) / 2);
+    return sharp(buffer)
+      .extend({
+        left: padLeft,
+        right: targetWidth - width - padLeft,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .toBuffer();
+  }
+  
+  return sharp(buffer)
+    .resize({ width: targetWidth, kernel: sharp.kernel.lanczos3 })
+    .toBuffer();
+}
+
+// Rotate a panel by any angle, keeping the uncovered corners transparent.
+// Output is PNG so JPEG uploads are not re-encoded lossily.
+async function rotatePanel(buffer, angle) {
+  if (angle % 360 === 0) {
+    return buffer;
+  }
+  return sharp(buffer)
+    .rotate(angle, { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+// Panels below are { buffer, width, height, bounds }, with bounds kept in step with the pixels
+
+// Mirror a panel left to right
+async function flopPanel(panel) {
+  return {
+    ...panel,
+    buffer: await sharp(panel.buffer).flop().png().toBuffer(),
+    bounds: flopBounds(panel.bounds, panel.width)
+  };
+}
+
+// Bring a panel to the target width with fitToWidth
+async function fitPanel(panel, targetWidth, mode) {
+  if (panel.width === targetWidth) {
+    return panel;
+  }
+  
+  const buffer = await fitToWidth(panel.buffer, targetWidth, mode);
+  const { width, height } = await sharp(buffer).metadata();
+  const { left, top, right, bottom } = panel.bounds;
+  
+  if (mode === 'center') {
+    const padLeft = Math.floor((targetWidth - panel.width) / 2);
+    return { buffer, width, height, bounds: makeBounds(left + padLeft, top, right + padLeft, bottom) };
+  }
+  
+  const scaleX = width / panel.width;
+  const scaleY = height / panel.height;
+  return {
+    buffer,
+    width,
+    height,
+    bounds: makeBounds(
+      Math.floor(left * scaleX),
+      Math.floor(top * scaleY),
+      Math.min(width, Math.ceil((right + 1) * scaleX)) - 1,
+      Math.min(height, Math.ceil((bottom + 1) * scaleY)) - 1
+    )
+  };
+}
+
+// Rotate a panel with rotatePanel. Quarter turns move the bounds exactly; other angles
+// resample the edges, so the rotated panel is rescanned.
+async function rotatePanelWithBounds(panel, angle) {
+  const buffer = await rotatePanel(panel.buffer, angle);
+  if (angle % 90 === 0) {
+    const quarterTurn = Math.abs(angle % 180) === 90;
+    return {
+      buffer,
+      width: quarterTurn ? panel.height : panel.width,
+      height: quarterTurn ? panel.width : panel.height,
+      bounds: rotateBounds(panel.bounds, panel.width, panel.height, angle)
+    };
+  }
+  
+  const { width, height } = await sharp(buffer).metadata();
+  return { buffer, width, height, bounds: await getContentBounds(buffer) };
+}
+
+// Scale and shift a panel box ({ name, left, top, width, height }) into a resized image
+function transformBox(box, scale, left, top) {
+  return {
+    name: box.name,
+    left: Math.round(box.left * scale) + left,
+    top: Math.round(box.top * scale) + top,
+    width: Math.round(box.width * scale),
+    height: Math.round(box.height * scale)
+  };
+}
+
+// Load, scale and turn the collar image, and position it on the arranged torso panels.
+// Returns { buffer, left, top, width, height } in arrangement pixels.
+async function placeCollar(collarPath, collar, layout, arrangement) {
+  const vertical = layout.direction === 'vertical';
+  const collarImage = sharp(collarPath).ensureAlpha();
+  const collarMeta = await collarImage.metadata();
+  const scaledWidth = Math.max(1, Math.floor(collarMeta.width * collar.scale));
+  const scaledHeight = Math.max(1, Math.floor(collarMeta.height * collar.scale));
+  
+  const collarBuffer = await rotatePanel(
+    await collarImage
+      .resize(scaledWidth, scaledHeight, { 
+        kernel: sharp.kernel.lanczos3
+      })
+      .toBuffer(),
+    layout.collarRotate
+  );
+  const { width: collarWidth, height: collarHeight } = await sharp(collarBuffer).metadata();
+  
+  if (collarWidth > arrangement.width || collarHeight > arrangement.height) {
+    throw new ApiError(400, 'invalid_parameter', `Collar (${collarWidth}x${collarHeight}) is larger than the template (${arrangement.width}x${arrangement.height}); lower collarScale`);
+  }
+  
+  // Anchors are measured along the layout direction; the collar is centred across it
+  const collarMain = vertical ? collarHeight : collarWidth;
+  const mainExtent = vertical ? arrangement.height : arrangement.width;
+  let mainOffset;
+  if (collar.anchor === 'top') {
+    mainOffset = 0;
+  } else if (collar.anchor === 'center' || arrangement.seams.length === 0) {
+    mainOffset = Math.floor((mainExtent - collarMain) / 2);
+  } else {
+    mainOffset = arrangement.seams[0] - Math.floor(collarMain / 2);
+  }
+  
+  const centredLeft = Math.floor((arrangement.width - collarWidth) / 2);
+  const centredTop = Math.floor((arrangement.height - collarHeight) / 2);
+  return {
+    buffer: collarBuffer,
+    left: (vertical ? centredLeft : mainOffset) + collar.offsetX,
+    top: (vertical ? mainOffset : centredTop) + collar.offsetY,
+    width: collarWidth,
+    height: collarHeight
+  };
+}
+
+// Rows of an upright panel that a box ({ left, top, width, height }) covers once the panel
+// is turned by `angle` and placed at `placement`, as { top, bottom }; null when the box
+// misses the panel or the angle is not a quarter turn
+function uprightOverlap(box, panel, placement, angle) {
+  const left = Math.max(0, box.left - placement.left);
+  const top = Math.max(0, box.top - placement.top);
+  const right = Math.min(panel.width, box.left + box.width - placement.left) - 1;
+  const bottom = Math.min(panel.height, box.top + box.height - placement.top) - 1;
+  if (angle % 90 !== 0 || right < left || bottom < top) {
+    return null;
+  }
+  const upright = rotateBounds(makeBounds(left, top, right, bottom), panel.width, panel.height, 360 - angle);
+  return { top: upright.top, bottom: upright.bottom };
+}
+
+// Pipeline stages reported in info.timings. trim includes background removal and width
+// matching, flip the mirroring and rotation of panels, bounds the gap detection and panel
+// arrangement, encode any print scaling, and cutLines the tracing of the silhouette.
+const PIPELINE_STAGES = ['trim', 'recolour', 'flip', 'bounds', 'collar', 'personalisation', 'composite', 'encode', 'cutLines'];
+
+// Stopwatch for the pipeline stages: lap(stage) adds the milliseconds since the previous lap
+// to timings[stage], so a stage that runs in several steps is charged for all of them
+function createStageTimer() {
+  const timings = Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, 0]));
+  let last = performance.now();
+  return {
+    timings,
+    lap(stage) {
+      const now = performance.now();
+      timings[stage] = Math.round((timings[stage] + now - last) * 10) / 10;
+      last = now;
+    }
+  };
+}
+
+// Main image processing function
+// gapBetweenImages: pixels between the first two panels, or 'auto' to detect a seamless overlap
+// options.backPath: separate back-side artwork (the front is mirrored when omitted)
+// options.leftSleevePath / options.rightSleevePath: sleeve artwork; a single sleeve is mirrored for the other
+// options.fit: 'scale' or 'center', how to reconcile panels of different widths
+// options.backgroundRemoval: options from parseBackgroundRemoval, to cut every panel out of an opaque background
+// options.colourway: { mapping, tolerance } from lib/colourways, to recolour the trimmed panels
+// options.personalisation: player name and number from parsePersonalisation, printed on the back
+// options.layout: layout preset from lib/layouts (the classic back-over-front stack when omitted)
+// options.output: encoder options from parseOutputOptions (PNG when omitted)
+// options.print: print layout from parsePrintOptions, to export at a physical size
+// options.collar: collar placement from parseCollarPlacement
+// options.cutLines: { offset, smoothing } from parseCutLineOptions, to trace the cut lines
+// options.resolveWithObject: resolve with { data, info } instead of a buffer, where
+//   info holds the output size, the gap used (null when the layout has fixed spacing),
+//   each panel's bounding box, for cutting tools, each input's size and trimmed region, the
+//   milliseconds spent in each of PIPELINE_STAGES as `timings`, for print exports the pixel
+//   size the scaled template fills as `artwork` ({ width, height }), and with options.cutLines
+//   the traced outlines in output pixels as `cutLines` ({ offset, smoothing, dpi, paths })
+async function processJerseyImage(inputPath, collarPath = null, gapBetweenImages = DEFAULT_GAP, options = {}) {
+  try {
+    const { backPath = null, fit = 'scale', output = {}, print = null, backgroundRemoval = null } = options;
+    const layout = options.layout || getLayout(DEFAULT_LAYOUT);
+    const collar = { ...DEFAULT_COLLAR_PLACEMENT, ...options.collar };
+    const timer = createStageTimer();
+    
+    // 1. Load and trim the front image. Panels carry their content bounds from here on,
+    // updated as they are mirrored, padded and rotated instead of being rescanned.
+    let frontSide = await trimJerseyImage(inputPath, backgroundRemoval);
+    let backSide;
+    const inputs = { front: frontSide.source };
+    timer.lap('trim');
+    
+    // Recolour each uploaded panel once it is trimmed, so mirrored panels inherit the colourway.
+    // Recolouring leaves the alpha channel alone, so the bounds still hold.
+    const recolour = async panel => {
+      if (!options.colourway) {
+        return panel;
+      }
+      const buffer = await recolourPanel(panel.buffer, options.colourway);
+      timer.lap('recolour');
+      return { ...panel, buffer };
+    };
+    frontSide = await recolour(frontSide);
+    
+    // 2. Use the supplied back artwork, or mirror the front to make an upright back view
+    if (backPath) {
+      backSide = await trimJerseyImage(backPath, backgroundRemoval);
+      inputs.back = backSide.source;
+      timer.lap('trim');
+      backSide = await recolour(backSide);
+      
+      if (backSide.width !== frontSide.width) {
+        // Scaling shrinks/grows the back to the front width; centering pads the narrower panel
+        const width = fit === 'center' ? Math.max(frontSide.width, backSide.width) : frontSide.width;
+        frontSide = await fitPanel(frontSide, width, fit);
+        backSide = await fitPanel(backSide, width, fit);
+      }
+      timer.lap('trim');
+    } else {
+      backSide = await flopPanel(frontSide);
+      timer.lap('flip');
+    }
+    
+    // Trim the sleeves; a single sleeve is mirrored to make the other one
+    const sleeveSources = {};
+    if (options.leftSleevePath) {
+      sleeveSources.leftSleeve = await trimJerseyImage(options.leftSleevePath, backgroundRemoval);
+      inputs.leftSleeve = sleeveSources.leftSleeve.source;
+    }
+    if (options.rightSleevePath) {
+      sleeveSources.rightSleeve = await trimJerseyImage(options.rightSleevePath, backgroundRemoval);
+      inputs.rightSleeve = sleeveSources.rightSleeve.source;
+    }
+    timer.lap('trim');
+    for (const name of Object.keys(sleeveSources)) {
+      sleeveSources[name] = await recolour(sleeveSources[name]);
+    }
+    if (sleeveSources.leftSleeve && !sleeveSources.rightSleeve) {
+      sleeveSources.rightSleeve = await flopPanel(sleeveSources.leftSleeve);
+    } else if (sleeveSources.rightSleeve && !sleeveSources.leftSleeve) {
+      sleeveSources.leftSleeve = await flopPanel(sleeveSources.rightSleeve);
+    }
+    
+    // 3. Orient the panels the layout uses.
+    // Layouts that join back and front at the shoulder turn the back upside down.
+    const sources = { front: frontSide, back: backSide };
+    const panels = [];
+    for (const spec of layout.panels) {
+      panels.push({ name: spec.name, ...await rotatePanelWithBounds(sources[spec.name], spec.rotate) });
+    }
+    timer.lap('flip');
+    
+    // 4. Arrange the panels with the layout spacing (the configurable gap by default).
+    // An automatic gap is measured where the first two panels meet, at their aligned positions.
+    let spacing = layout.spacing === 'gap' ? gapBetweenImages : layout.spacing;
+    if (spacing === 'auto') {
+      let detected = null;
+      if (panels.length > 1) {
+        const aligned = arrangePanels(panels, layout, 0).placements;
+        const crossOffsets = aligned.slice(0, 2).map(placement => (layout.direction === 'vertical' ? placement.left : placement.top));
+        detected = await detectSeamGap(panels[0], panels[1], layout, crossOffsets);
+      }
+      spacing = detected === null ? DEFAULT_GAP : detected;
+    }
+    const arrangement = arrangePanels(panels, layout, spacing);
+    timer.lap('bounds');
+    
+    // Size and position the collar now, so the name can be kept clear of it
+    let collarLayer = null;
+    if (collarPath && fs.existsSync(collarPath)) {
+      collarLayer = await placeCollar(collarPath, collar, layout, arrangement);
+      timer.lap('collar');
+    }
+    
+    // Print the player name and number on the upright back, then turn it as the layout does.
+    // Text can reach past a narrow silhouette, so this panel is rescanned; the arrangement
+    // keeps the positions measured without the text.
+    const backIndex = layout.panels.findIndex(spec => spec.name === 'back');
+    if (options.personalisation && backIndex !== -1) {
+      const angle = layout.panels[backIndex].rotate;
+      const clear = collarLayer ? uprightOverlap(collarLayer, panels[backIndex], arrangement.placements[backIndex], angle) : null;
+      const buffer = await applyPersonalisation(backSide.buffer, options.personalisation, clear);
+      panels[backIndex] = {
+        name: 'back',
+        ...await rotatePanelWithBounds({ ...backSide, buffer, bounds: await getContentBounds(buffer) }, angle)
+      };
+      timer.lap('personalisation');
+    }
+    
+    // 5. Place the sleeves beside the torso panels, growing the canvas to fit
+    const sleeves = Object.keys(sleeveSources).sort().map(name => ({ name, ...sleeveSources[name] }));
+    
+    const group = sleeves.length > 0
+      ? placeSleeves(arrangement, sleeves, layout)
+      : { width: arrangement.width, height: arrangement.height, torso: { left: 0, top: 0 }, placements: [] };
+    
+    const compositeLayers = [];
+    const panelBoxes = [];
+    const placeLayer = (panel, left, top) => {
+      compositeLayers.push({ input: panel.buffer, left, top });
+      panelBoxes.push({
+        name: panel.name,
+        left: left + panel.bounds.left,
+        top: top + panel.bounds.top,
+        width: panel.bounds.width,
+        height: panel.bounds.height
+      });
+    };
+    
+    panels.forEach((panel, index) => {
+      const placement = arrangement.placements[index];
+      placeLayer(panel, placement.left + group.torso.left, placement.top + group.torso.top);
+    });
+    sleeves.forEach((sleeve, index) => {
+      placeLayer(sleeve, group.placements[index].left, group.placements[index].top);
+    });
+    timer.lap('bounds');
+    
+    // 6. Place the collar (if provided) on the torso panels
+    if (collarLayer) {
+      compositeLayers.push({
+        input: collarLayer.buffer,
+        top: collarLayer.top + group.torso.top,
+        left: collarLayer.left + group.torso.left
+      });
+    }
+    
+    // 7. Create final composite image, then fit it to a fixed canvas and pad it as the layout asks
+    let composite = await sharp({
+      create: {
+        width: group.width,
+        height: group.height,
+        channels: 4,
+        background: layout.background
+      }
+    })
+    .composite(compositeLayers)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+    
+    const { padding } = layout;
+    let boxes = panelBoxes;
+    // Scalings and offsets applied to the arranged panels, for the cut lines
+    const transforms = [];
+    if (layout.canvas || padding.top || padding.right || padding.bottom || padding.left) {
+      let framed = sharp(composite.data, { raw: composite.info });
+      let scale = 1;
+      let offsetLeft = padding.left;
+      let offsetTop = padding.top;
+      
+      if (layout.canvas) {
+        const innerWidth = layout.canvas.width - padding.left - padding.right;
+        const innerHeight = layout.canvas.height - padding.top - padding.bottom;
+        scale = Math.min(innerWidth / group.width, innerHeight / group.height);
+        offsetLeft += Math.floor((innerWidth - Math.round(group.width * scale)) / 2);
+        offsetTop += Math.floor((innerHeight - Math.round(group.height * scale)) / 2);
+        
+        framed = sharp(await framed
+          .resize({
+            width: innerWidth,
+            height: innerHeight,
+            fit: 'contain',
+            background: layout.background,
+            kernel: sharp.kernel.lanczos3
+          })
+          .png()
+          .toBuffer());
+      }
+      
+      composite = await framed
+        .extend({ ...padding, background: layout.background })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      boxes = boxes.map(box => transformBox(box, scale, offsetLeft, offsetTop));
+      transforms.push({ scale, left: offsetLeft, top: offsetTop });
+    }
+    timer.lap('composite');
+    
+    // 8. Scale to the print size with bleed and crop marks, when exporting for print
+    let image = sharp(composite.data, { raw: composite.info });
+    let printTransform = null;
+    if (print) {
+      printTransform = getPrintTransform(composite.info.width, composite.info.height, print);
+      boxes = boxes.map(box => transformBox(box, printTransform.scale, printTransform.left, printTransform.top));
+      transforms.push(printTransform);
+      image = await applyPrintLayout(composite, print);
+    }
+    
+    // 9. Encode in the requested output format
+    const { data, info } = await encodeOutput(image, output).toBuffer({ resolveWithObject: true });
+    timer.lap('encode');
+    
+    // 10. Trace the cut lines around everything placed, collar included, then bring them to
+    // output pixels. The offset is in output pixels, so it is scaled down to trace with.
+    let cutLines;
+    if (options.cutLines) {
+      const { data: silhouette } = await sharp({
+        create: { width: group.width, height: group.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+      })
+        .composite(compositeLayers)
+        .extractChannel('alpha')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      
+      const scale = transforms.reduce((total, transform) => total * transform.scale, 1);
+      const paths = traceContours(silhouette, group.width, group.height, {
+        offset: options.cutLines.offset / scale,
+        smoothing: options.cutLines.smoothing
+      }).map(path => path.map(point => transforms.reduce(
+        ([x, y], transform) => [x * transform.scale + transform.left, y * transform.scale + transform.top],
+        point
+      )));
+      cutLines = { ...options.cutLines, dpi: print ? print.dpi : null, paths };
+      timer.lap('cutLines');
+    }
+    
+    if (options.resolveWithObject) {
+      return {
+        data,
+        info: {
+          format: info.format,
+          width: info.width,
+          height: info.height,
+          gap: layout.spacing === 'gap' ? spacing : null,
+          panels: boxes,
+          inputs,
+          timings: timer.timings,
+          ...(printTransform && { artwork: { width: printTransform.artworkWidth, height: printTransform.artworkHeight } }),
+          ...(cutLines && { cutLines })
+        }
+      };
+    }
+    return data;
+  } catch (error) {
+    // Parameters that turn out not to fit the images are the caller's to fix, so they keep
+    // their ApiError; anything else is a processing failure
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new Error(`Image processing failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_GAP,
+  OUTPUT_FORMATS,
+  COLLAR_ANCHORS,
+  PIPELINE_STAGES,
+  parseGap,
+  parseCollarPlacement,
+  parseOutputOptions,
+  encodeOutput,
+  scanAlphaBounds,
+  getContentBounds,
+  trimJerseyImage,
+  fitToWidth,
+  processJerseyImage
+};
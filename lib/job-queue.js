@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+
+// In-memory job queue that runs at most `concurrency` tasks at the same time.
+// Finished jobs are kept for `retentionMs` so clients can poll their status.
+class JobQueue {
+  constructor({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  // Queue an async task; returns the job record straight away.
+  // `job.promise` settles with the task result once it has run.
+  add(task, data = {}) {
+    this.prune();
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      data,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.task = task;
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only poll never await the promise
+    job.promise.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.next();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // 1-based position among queued jobs, or 0 when not waiting
+  position(id) {
+    return this.pending.findIndex(job => job.id === id) + 1;
+  }
+
+  stats() {
+    return {
+      queued: this.pending.length,
+      processing: this.running,
+      concurrency: this.concurrency
+    };
+  }
+
+  // Public view of a job, safe to send in a response
+  describe(job) {
+    const view = {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+
+    if (job.status === 'queued') {
+      view.position = this.position(job.id);
+    }
+    if (job.status === 'done') {
+      view.result = job.result;
+    }
+    if (job.status === 'failed') {
+      view.error = job.error.message;
+    }
+    return view;
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'processing';
+    job.startedAt = new Date();
+
+    try {
+      job.result = await job.task();
+      job.status = 'done';
+      job.resolve(job.result);
+    } catch (error) {
+      job.error = error;
+      job.status = 'failed';
+      job.reject(error);
+    } finally {
+      job.finishedAt = new Date();
+      job.task = null;
+      this.running--;
+      this.next();
+    }
+  }
+
+  // Drop finished jobs older than the retention window
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,282 @@
+const path = require('path');
+const fs = require('fs');
+const { ApiError } = require('./errors');
+const { parseHexColour } = require('./parameters');
+
+// Declarative template layouts, loaded from the JSON presets in layouts/.
+// A preset names the panels to place (in order), the direction they are stacked in,
+// the spacing between them, cross-axis alignment, canvas padding and background,
+// where sleeve panels go, and optionally a fixed canvas size the arrangement is fitted into.
+
+const DEFAULT_LAYOUT = 'classic';
+const LAYOUTS_DIR = path.join(__dirname, '..', 'layouts');
+const PANEL_NAMES = ['front', 'back'];
+const DIRECTIONS = ['vertical', 'horizontal'];
+const ALIGNMENTS = ['start', 'center', 'end'];
+const SLEEVE_PLACEMENTS = ['sides', 'below'];
+const SLEEVE_NAMES = ['leftSleeve', 'rightSleeve'];
+
+function parseColour(value, name) {
+  if (value === undefined || value === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+  const hex = parseHexColour(value, `Layout "${name}": background`);
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16),
+    alpha: 1
+  };
+}
+
+function parsePadding(value = 0, name) {
+  const padding = typeof value === 'number'
+    ? { top: value, right: value, bottom: value, left: value }
+    : { top: 0, right: 0, bottom: 0, left: 0, ...value };
+
+  for (const side of ['top', 'right', 'bottom', 'left']) {
+    if (!Number.isInteger(padding[side]) || padding[side] < 0) {
+      throw new Error(`Layout "${name}": padding must be a non-negative whole number of pixels`);
+    }
+  }
+  return padding;
+}
+
+// Validate a preset definition and fill in defaults
+function normalizeLayout(name, definition) {
+  const layout = {
+    name,
+    description: definition.description || '',
+    direction: definition.direction || 'vertical',
+    spacing: definition.spacing === undefined ? 'gap' : definition.spacing,
+    align: definition.align || 'center',
+    padding: parsePadding(definition.padding, name),
+    background: parseColour(definition.background, name),
+    collarRotate: definition.collarRotate || 0,
+    sleeves: definition.sleeves || 'sides',
+    sleeveSpacing: definition.sleeveSpacing === undefined ? 20 : definition.sleeveSpacing,
+    canvas: null
+  };
+
+  if (!DIRECTIONS.includes(layout.direction)) {
+    throw new Error(`Layout "${name}": direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+  if (!ALIGNMENTS.includes(layout.align)) {
+    throw new Error(`Layout "${name}": align must be one of ${ALIGNMENTS.join(', ')}`);
+  }
+  if (layout.spacing !== 'gap' && !Number.isInteger(layout.spacing)) {
+    throw new Error(`Layout "${name}": spacing must be "gap" or a whole number of pixels`);
+  }
+  if (!SLEEVE_PLACEMENTS.includes(layout.sleeves)) {
+    throw new Error(`Layout "${name}": sleeves must be one of ${SLEEVE_PLACEMENTS.join(', ')}`);
+  }
+  if (!Number.isInteger(layout.sleeveSpacing) || layout.sleeveSpacing < 0) {
+    throw new Error(`Layout "${name}": sleeveSpacing must be a non-negative whole number of pixels`);
+  }
+
+  if (!Array.isArray(definition.panels) || definition.panels.length === 0) {
+    throw new Error(`Layout "${name}": panels must be a non-empty list`);
+  }
+  layout.panels = definition.panels.map(panel => {
+    const spec = typeof panel === 'string' ? { name: panel } : { ...panel };
+    if (!PANEL_NAMES.includes(spec.name)) {
+      throw new Error(`Layout "${name}": unknown panel "${spec.name}"`);
+    }
+    spec.rotate = Number(spec.rotate) || 0;
+    return spec;
+  });
+
+  if (definition.canvas) {
+    const { width, height } = definition.canvas;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw new Error(`Layout "${name}": canvas needs a positive whole width and height`);
+    }
+    const { top, right, bottom, left } = layout.padding;
+    if (width <= left + right || height <= top + bottom) {
+      throw new Error(`Layout "${name}": padding leaves no room on the canvas`);
+    }
+    layout.canvas = { width, height };
+  }
+
+  return layout;
+}
+
+// Load every `<name>.json` preset in a directory, keyed by name
+function loadLayouts(directory) {
+  const layouts = new Map();
+
+  fs.readdirSync(directory)
+    .filter(file => path.extname(file) === '.json')
+    .sort()
+    .forEach(file => {
+      const name = path.basename(file, '.json');
+      const definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      layouts.set(name, normalizeLayout(name, definition));
+    });
+
+  if (!layouts.has(DEFAULT_LAYOUT)) {
+    throw new Error(`Missing the default "${DEFAULT_LAYOUT}" layout preset in ${directory}`);
+  }
+  return layouts;
+}
+
+let presets = null;
+
+// Presets from layouts/, loaded on first use
+function getLayouts() {
+  if (!presets) {
+    presets = loadLayouts(LAYOUTS_DIR);
+  }
+  return presets;
+}
+
+// A preset by name, or null when there is no such preset
+function getLayout(name = DEFAULT_LAYOUT) {
+  return getLayouts().get(name) || null;
+}
+
+// Position panels along the layout direction. Each panel is { name, width, height, bounds }.
+// Consecutive panels are joined at their content edges (not their image edges), `spacing`
+// pixels apart; negative spacing overlaps them, by less than the shortest panel's content.
+// Padding is not included here. Returns the arrangement size, each panel's offset, and the
+// seam positions along the main axis.
+function arrangePanels(panels, layout, spacing) {
+  const vertical = layout.direction === 'vertical';
+  const contentStart = panel => (vertical ? panel.bounds.top : panel.bounds.left);
+  const contentEnd = panel => (vertical ? panel.bounds.bottom : panel.bounds.right);
+  const crossSize = panel => (vertical ? panel.width : panel.height);
+  const crossExtent = Math.max(...panels.map(crossSize));
+
+  // A panel overlapped by its whole length would end up before the one it follows
+  const shortest = Math.min(...panels.map(panel => contentEnd(panel) - contentStart(panel) + 1));
+  if (panels.length > 1 && spacing <= -shortest) {
+    throw new ApiError(
+      400,
+      'invalid_parameter',
+      `gap ${spacing} overlaps the panels by their whole length; it must be greater than -${shortest} for these images`
+    );
+  }
+
+  const placements = [];
+  const seams = [];
+  let cursor = null;
+
+  panels.forEach(panel => {
+    const mainOffset = cursor === null
+      ? -contentStart(panel)
+      : cursor + spacing - contentStart(panel);
+
+    if (cursor !== null) {
+      // The seam sits halfway through the overlap (or gap) between neighbouring content
+      seams.push(cursor + Math.round(spacing / 2));
+    }
+    cursor = mainOffset + contentEnd(panel);
+
+    const free = crossExtent - crossSize(panel);
+    const crossOffset = layout.align === 'start' ? 0 : layout.align === 'end' ? free : Math.floor(free / 2);
+
+    placements.push({
+      name: panel.name,
+      left: vertical ? crossOffset : mainOffset,
+      top: vertical ? mainOffset : crossOffset
+    });
+  });
+
+  const mainExtent = cursor + 1;
+  return {
+    width: vertical ? crossExtent : mainExtent,
+    height: vertical ? mainExtent : crossExtent,
+    placements,
+    seams
+  };
+}
+
+// Place sleeve panels ({ name, width, height }) around the arranged torso ({ width, height }).
+// `sides` puts the left sleeve left of the torso and the right sleeve right of it;
+// `below` puts them side by side under the torso. Sleeves are positioned by their whole
+// image, `sleeveSpacing` apart from everything else, so no two pieces overlap; the canvas
+// grows to fit. Returns the new size, the torso offset and each sleeve's offset.
+function placeSleeves(torso, sleeves, layout) {
+  const spacing = layout.sleeveSpacing;
+  const left = sleeves.find(sleeve => sleeve.name === 'leftSleeve');
+  const right = sleeves.find(sleeve => sleeve.name === 'rightSleeve');
+  const placements = [];
+
+  if (layout.sleeves === 'below') {
+    const rowWidth = sleeves.reduce((sum, sleeve) => sum + sleeve.width, 0) + spacing * (sleeves.length - 1);
+    const rowHeight = Math.max(...sleeves.map(sleeve => sleeve.height));
+    const width = Math.max(torso.width, rowWidth);
+    const rowTop = torso.height + spacing;
+    let cursor = Math.floor((width - rowWidth) / 2);
+
+    [left, right].filter(Boolean).forEach(sleeve => {
+      placements.push({ name: sleeve.name, left: cursor, top: rowTop });
+      cursor += sleeve.width + spacing;
+    });
+
+    return {
+      width,
+      height: rowTop + rowHeight,
+      torso: { left: Math.floor((width - torso.width) / 2), top: 0 },
+      placements
+    };
+  }
+
+  const leftWidth = left ? left.width + spacing : 0;
+  const rightWidth = right ? right.width + spacing : 0;
+  const height = Math.max(torso.height, ...sleeves.map(sleeve => sleeve.height));
+
+  if (left) {
+    placements.push({ name: left.name, left: 0, top: Math.floor((height - left.height) / 2) });
+  }
+  if (right) {
+    placements.push({
+      name: right.name,
+      left: leftWidth + torso.width + spacing,
+      top: Math.floor((height - right.height) / 2)
+    });
+  }
+
+  return {
+    width: leftWidth + torso.width + rightWidth,
+    height,
+    torso: { left: leftWidth, top: Math.floor((height - torso.height) / 2) },
+    placements
+  };
+}
+
+// Public view of a preset, for the layout listing endpoint
+function describeLayout(layout) {
+  const { background } = layout;
+  const hex = [background.r, background.g, background.b]
+    .map(value => value.toString(16).padStart(2, '0'))
+    .join('');
+
+  return {
+    name: layout.name,
+    description: layout.description,
+    direction: layout.direction,
+    panels: layout.panels,
+    spacing: layout.spacing,
+    align: layout.align,
+    padding: layout.padding,
+    background: background.alpha === 0 ? 'transparent' : `#${hex}`,
+    collarRotate: layout.collarRotate,
+    sleeves: layout.sleeves,
+    sleeveSpacing: layout.sleeveSpacing,
+    canvas: layout.canvas
+  };
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  PANEL_NAMES,
+  SLEEVE_NAMES,
+  normalizeLayout,
+  loadLayouts,
+  getLayouts,
+  getLayout,
+  arrangePanels,
+  placeSleeves,
+  describeLayout
+};
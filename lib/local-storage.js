@@ -0,0 +1,119 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Storage driver keeping objects as files under a local directory. Keys may contain `/`
+// for subdirectories. Files are served by the API itself, so URLs point at `urlPath`
+// on the request's base URL.
+class LocalStorage {
+  constructor({ directory, urlPath = '/outputs' }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.urlPath = urlPath;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  // Absolute path for a key; throws for keys that would leave the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Written to a temporary file first, so readers never see a partial object
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, body);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Size and modification time (ms) of an object, or null when it does not exist
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this.resolve(key));
+      return stat.isFile() ? { bytes: stat.size, modifiedAt: stat.mtimeMs } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // An object's contents as a readable stream with its stat, or null when it does not exist
+  async get(key) {
+    const stat = await this.stat(key);
+    if (!stat) {
+      return null;
+    }
+    return { ...stat, stream: fs.createReadStream(this.resolve(key)) };
+  }
+
+  // Returns false when there was nothing to delete. Subdirectories left empty are removed.
+  async delete(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    const root = path.resolve(this.directory);
+    for (let dir = path.dirname(filePath); dir !== root; dir = path.dirname(dir)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        break; // not empty, or already gone
+      }
+    }
+    return true;
+  }
+
+  // Every object whose key starts with `prefix`, as { key, bytes, modifiedAt }
+  async list(prefix = '') {
+    const objects = [];
+    const walk = async relative => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(this.directory, relative), { withFileTypes: true });
+      } catch (error) {
+        return; // removed while listing
+      }
+
+      for (const entry of entries) {
+        const key = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(key);
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stat = await this.stat(key);
+          if (stat) {
+            objects.push({ key, ...stat });
+          }
+        }
+      }
+    };
+
+    await walk('');
+    return objects;
+  }
+
+  // Reset an object's modification time to now
+  async touch(key) {
+    const now = new Date();
+    await fs.promises.utimes(this.resolve(key), now, now);
+  }
+
+  async url(key, { baseUrl }) {
+    return `${baseUrl}${this.urlPath}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,64 @@
+// Structured logging: one JSON object per line with the time, level and message plus any
+// fields, on stdout (stderr for warnings and errors). child() returns a logger that adds
+// fields to every entry, such as the requestId of the request being handled.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors do not serialise to JSON on their own
+function serialise(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+class Logger {
+  constructor({ level = 'info', fields = {} } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}. Use one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields } });
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, message, ...this.fields };
+    Object.entries(fields).forEach(([name, value]) => {
+      entry[name] = serialise(value);
+    });
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,96 @@
+const client = require('prom-client');
+
+// Prometheus metrics served at GET /metrics: HTTP requests by route and status, image
+// processing durations overall and per pipeline stage, upload sizes and the job queue,
+// plus the Node.js process metrics prom-client collects by default.
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const STAGE_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPLOAD_BUCKETS = client.exponentialBuckets(1024, 4, 9); // 1KB to 64MB
+
+class Metrics {
+  // jobQueue: the processing queue, whose depth is read on each scrape
+  constructor({ jobQueue }) {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+    const registers = [this.registry];
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method and route',
+      labelNames: ['method', 'route'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+    this.processingDuration = new client.Histogram({
+      name: 'jersey_processing_duration_seconds',
+      help: 'Time to process one jersey image, by outcome',
+      labelNames: ['outcome'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+    this.stageDuration = new client.Histogram({
+      name: 'jersey_stage_duration_seconds',
+      help: 'Time spent in each stage of the processing pipeline',
+      labelNames: ['stage'],
+      buckets: STAGE_BUCKETS,
+      registers
+    });
+    this.uploadBytes = new client.Histogram({
+      name: 'upload_size_bytes',
+      help: 'Size of uploaded files by form field',
+      labelNames: ['field'],
+      buckets: UPLOAD_BUCKETS,
+      registers
+    });
+
+    // Read from the queue when scraped
+    const queueGauge = (name, help, stat) => new client.Gauge({
+      name,
+      help,
+      registers,
+      collect() {
+        this.set(jobQueue.stats()[stat]);
+      }
+    });
+    queueGauge('job_queue_depth', 'Jobs waiting for a processing slot', 'queued');
+    queueGauge('job_queue_processing', 'Jobs being processed', 'processing');
+    queueGauge('job_queue_concurrency', 'Processing slots', 'concurrency');
+  }
+
+  observeRequest({ method, route, status, seconds }) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpDuration.observe({ method, route }, seconds);
+  }
+
+  // One image through the pipeline: outcome `success` or `failure`, its total duration and,
+  // for successes, the stage timings in milliseconds from processJerseyImage. Stages the
+  // image skipped, such as collar without a collar, are not observed.
+  observeProcessing({ outcome, seconds, timings = {} }) {
+    this.processingDuration.observe({ outcome }, seconds);
+    Object.entries(timings).filter(([, ms]) => ms > 0).forEach(([stage, ms]) => {
+      this.stageDuration.observe({ stage }, ms / 1000);
+    });
+  }
+
+  observeUpload(field, bytes) {
+    this.uploadBytes.observe({ field }, bytes);
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  // The metrics in Prometheus text format
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,35 @@
+// Parsers for raw request parameters shared by the option parsers of the other modules.
+// Form fields arrive as strings and JSON bodies as typed values, so both are accepted.
+// Invalid values throw a plain Error whose message names the parameter for the client.
+
+// Flags are on for true, 'true' or '1'; anything else, including a missing value, is off
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// An integer from min to max, or the fallback when the parameter is missing or empty
+function parseInteger(value, name, min, max, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// A hex colour with or without the #, in 3 or 6 digits; returned as lower-case #rrggbb
+function parseHexColour(value, name) {
+  const hex = String(value).replace(/^#/, '').toLowerCase();
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/.test(hex)) {
+    throw new Error(`${name} must be a hex colour such as #ffffff`);
+  }
+  return `#${hex.length === 3 ? hex.replace(/./g, '$&$&') : hex}`;
+}
+
+module.exports = {
+  parseBoolean,
+  parseInteger,
+  parseHexColour
+};
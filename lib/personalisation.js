@@ -0,0 +1,162 @@
+const sharp = require('sharp');
+const { parseHexColour } = require('./parameters');
+const { escapeXml } = require('./xml');
+
+// Player name and number printed on the back panel: the name across the shoulders and
+// a large number in the centre. Sizes and positions are fractions of the back panel
+// height, so the same settings work at any resolution. Text that would sit under the
+// collar is moved down to just below it.
+
+const DEFAULT_TEXT_STYLE = {
+  font: 'sans-serif',
+  fill: '#ffffff',
+  outline: '#000000',
+  outlineWidth: 0.04, // fraction of the font size; 0 disables the outline
+  nameSize: 0.07,
+  numberSize: 0.3,
+  nameY: 0.17, // vertical centre of the name
+  numberY: 0.48 // vertical centre of the number
+};
+
+const MAX_NAME_LENGTH = 40;
+const MAX_NUMBER_LENGTH = 4;
+const TEXT_WIDTH_RATIO = 0.85; // text is shrunk to fit within this share of the panel width
+const CLEARANCE_RATIO = 0.25; // space left below the collar, as a fraction of the font size
+
+function parseFraction(value, name, max = 1) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    throw new Error(`${name} must be a number between 0 and ${max}`);
+  }
+  return number;
+}
+
+// Validate the text style parameters shared by single requests and roster rows
+function parseTextStyle(params = {}) {
+  const style = { ...DEFAULT_TEXT_STYLE };
+
+  if (params.textFont) {
+    // Font family names are passed to the SVG renderer, so keep them to plain characters
+    if (!/^[\w\s,-]{1,100}$/.test(params.textFont)) {
+      throw new Error('textFont must be a font family name');
+    }
+    style.font = params.textFont;
+  }
+  if (params.textFill) {
+    style.fill = parseHexColour(params.textFill, 'textFill');
+  }
+  if (params.textOutline) {
+    style.outline = parseHexColour(params.textOutline, 'textOutline');
+  }
+  if (params.textOutlineWidth !== undefined && params.textOutlineWidth !== '') {
+    style.outlineWidth = parseFraction(params.textOutlineWidth, 'textOutlineWidth', 0.5);
+  }
+  for (const key of ['nameSize', 'numberSize', 'nameY', 'numberY']) {
+    if (params[key] !== undefined && params[key] !== '') {
+      style[key] = parseFraction(params[key], key);
+    }
+  }
+
+  return style;
+}
+
+// Validate a player's name and number; either may be empty, but not both
+function parsePlayer(name, number) {
+  const player = {
+    name: name ? String(name).trim() : '',
+    number: number !== undefined && number !== null ? String(number).trim() : ''
+  };
+
+  if (!player.name && !player.number) {
+    throw new Error('A player name or number is required');
+  }
+  if (player.name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Player name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (player.number && !new RegExp(`^\\d{1,${MAX_NUMBER_LENGTH}}$`).test(player.number)) {
+    throw new Error(`Player number must be 1 to ${MAX_NUMBER_LENGTH} digits`);
+  }
+  return player;
+}
+
+// Personalisation for a single request, or null when no name or number was sent
+function parsePersonalisation(params = {}) {
+  if (!params.playerName && !params.playerNumber) {
+    return null;
+  }
+  return {
+    ...parsePlayer(params.playerName, params.playerNumber),
+    style: parseTextStyle(params)
+  };
+}
+
+function textSvg(width, height, text, fontSize, centreY, style) {
+  const strokeWidth = style.outlineWidth > 0 ? Math.max(1, fontSize * style.outlineWidth) : 0;
+  const stroke = strokeWidth > 0
+    ? ` stroke="${style.outline}" stroke-width="${strokeWidth}" stroke-linejoin="round" paint-order="stroke"`
+    : '';
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="${width / 2}" y="${centreY}" dominant-baseline="central" text-anchor="middle" ` +
+    `font-family="${escapeXml(style.font)}" font-weight="bold" font-size="${fontSize}" ` +
+    `fill="${style.fill}"${stroke}>${escapeXml(text)}</text></svg>`
+  );
+}
+
+// Rendered box of a text layer ({ width, top, height }), used to shrink text that would
+// run off the panel and to move it clear of the collar
+async function measureText(width, height, text, fontSize, centreY, style) {
+  const { info } = await sharp(textSvg(width, height, text, fontSize, centreY, style))
+    .trim()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, top: -info.trimOffsetTop, height: info.height };
+}
+
+// SVG layer for one line of text, shrunk to fit the panel width. Text crossing the
+// `clear` rows ({ top, bottom }) is moved below them when it still fits on the panel.
+async function textLayer(width, height, text, sizeFraction, yFraction, style, clear = null) {
+  let centreY = Math.round(height * yFraction);
+  let fontSize = Math.max(1, Math.round(height * sizeFraction));
+
+  let box = await measureText(width, height, text, fontSize, centreY, style);
+  const maxWidth = width * TEXT_WIDTH_RATIO;
+  if (box.width > maxWidth) {
+    fontSize = Math.max(1, Math.floor(fontSize * maxWidth / box.width));
+    box = await measureText(width, height, text, fontSize, centreY, style);
+  }
+
+  if (clear && box.top <= clear.bottom && box.top + box.height > clear.top) {
+    const shift = clear.bottom + 1 + Math.round(fontSize * CLEARANCE_RATIO) - box.top;
+    if (box.top + box.height + shift <= height) {
+      centreY += shift;
+    }
+  }
+
+  return { input: textSvg(width, height, text, fontSize, centreY, style), top: 0, left: 0 };
+}
+
+// Render the player name and number onto an upright back panel, keeping them off the
+// `clear` rows ({ top, bottom }) the collar covers, when given
+async function applyPersonalisation(buffer, personalisation, clear = null) {
+  const { width, height } = await sharp(buffer).metadata();
+  const { name, number, style } = personalisation;
+  const layers = [];
+
+  if (name) {
+    layers.push(await textLayer(width, height, name.toUpperCase(), style.nameSize, style.nameY, style, clear));
+  }
+  if (number) {
+    layers.push(await textLayer(width, height, number, style.numberSize, style.numberY, style, clear));
+  }
+
+  return sharp(buffer).composite(layers).png().toBuffer();
+}
+
+module.exports = {
+  DEFAULT_TEXT_STYLE,
+  parseTextStyle,
+  parsePlayer,
+  parsePersonalisation,
+  applyPersonalisation
+};
@@ -0,0 +1,244 @@
+const sharp = require('sharp');
+const { ApiError } = require('./errors');
+const { parseBoolean } = require('./parameters');
+
+// Print-ready export: scale a template to a physical garment size at a given DPI,
+// add a bleed margin and optional crop marks, and embed DPI and an ICC profile.
+// The bleed mirrors the artwork's edges, so artwork that reaches the trim line carries on
+// past it and a slightly off cut leaves no blank edge.
+
+// Supported units, in inches per unit
+const PRINT_UNITS = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4 };
+
+const ICC_PROFILES = ['srgb', 'p3'];
+
+// Only these formats store DPI in their metadata
+const PRINT_FORMATS = ['png', 'jpeg', 'tiff'];
+
+const DEFAULT_DPI = 300;
+const MAX_PRINT_PIXELS = 20000; // longest side, keeps raw buffers within memory
+const CROP_MARK_MARGIN = 0.25; // inches outside the bleed reserved for crop marks
+
+function toPixels(value, unit, dpi) {
+  return Math.round(value * PRINT_UNITS[unit] * dpi);
+}
+
+function toUnits(pixels, unit, dpi) {
+  return Math.round((pixels / dpi / PRINT_UNITS[unit]) * 100) / 100;
+}
+
+function parsePositive(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return number;
+}
+
+// Validate raw print parameters; returns null when print mode was not requested.
+// Print mode is on when `printWidth` and/or `printHeight` is given.
+function parsePrintOptions(params = {}, output = {}) {
+  const { printWidth, printHeight, printUnit, dpi, bleed, cropMarks, iccProfile } = params;
+
+  if (!printWidth && !printHeight) {
+    return null;
+  }
+
+  const print = {
+    unit: printUnit ? String(printUnit).toLowerCase() : 'cm',
+    dpi: DEFAULT_DPI,
+    bleed: 0,
+    cropMarks: parseBoolean(cropMarks),
+    iccProfile: iccProfile ? String(iccProfile).toLowerCase() : 'srgb'
+  };
+
+  if (!PRINT_UNITS[print.unit]) {
+    throw new Error(`Unsupported print unit: ${printUnit}. Use one of ${Object.keys(PRINT_UNITS).join(', ')}`);
+  }
+  if (printWidth) {
+    print.width = parsePositive(printWidth, 'printWidth');
+  }
+  if (printHeight) {
+    print.height = parsePositive(printHeight, 'printHeight');
+  }
+
+  if (dpi !== undefined && dpi !== '') {
+    print.dpi = Number(dpi);
+    if (!Number.isInteger(print.dpi) || print.dpi < 72 || print.dpi > 1200) {
+      throw new Error('DPI must be an integer between 72 and 1200');
+    }
+  }
+
+  if (bleed !== undefined && bleed !== '') {
+    print.bleed = Number(bleed);
+    if (!Number.isFinite(print.bleed) || print.bleed < 0) {
+      throw new Error('Bleed must be zero or a positive number');
+    }
+  }
+
+  if (!ICC_PROFILES.includes(print.iccProfile)) {
+    throw new Error(`Unsupported ICC profile: ${iccProfile}. Use one of ${ICC_PROFILES.join(', ')}`);
+  }
+
+  const format = output.format || 'png';
+  if (!PRINT_FORMATS.includes(format)) {
+    throw new Error(`Print mode requires one of ${PRINT_FORMATS.join(', ')} output, not ${format}`);
+  }
+
+  const longestSide = toPixels(Math.max(print.width || 0, print.height || 0) + 2 * print.bleed, print.unit, print.dpi);
+  if (longestSide > MAX_PRINT_PIXELS) {
+    throw new Error(`Print size is too large: ${longestSide}px exceeds ${MAX_PRINT_PIXELS}px at ${print.dpi} DPI`);
+  }
+
+  return print;
+}
+
+// Margin around the trim box in pixels: the bleed, plus room for crop marks when enabled
+function printMargins(print) {
+  const bleed = toPixels(print.bleed, print.unit, print.dpi);
+  const marks = print.cropMarks ? Math.round(CROP_MARK_MARGIN * print.dpi) : 0;
+  return { bleed, marks, total: bleed + marks };
+}
+
+// SVG crop marks in the outer margin, lined up with the trim box edges
+function cropMarksSvg(width, height, margins, dpi) {
+  const inset = margins.total;
+  const length = Math.max(1, margins.marks - Math.round(dpi / 32));
+  const stroke = Math.max(1, Math.round(dpi / 288)); // 0.25pt hairline
+  const right = width - inset;
+  const bottom = height - inset;
+
+  const lines = [
+    // Top-left
+    [inset, 0, inset, length], [0, inset, length, inset],
+    // Top-right
+    [right, 0, right, length], [width, inset, width - length, inset],
+    // Bottom-left
+    [inset, height, inset, height - length], [0, bottom, length, bottom],
+    // Bottom-right
+    [right, height, right, height - length], [width, bottom, width - length, bottom]
+  ];
+
+  const paths = lines
+    .map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`)
+    .join('');
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<g stroke="#000000" stroke-width="${stroke}">${paths}</g></svg>`
+  );
+}
+
+// Where a template of the given pixel size lands in the print file: the scale factor,
+// the scaled garment box, the size of the scaled template inside it (smaller than the box
+// on one side when its aspect ratio differs from the garment's) and the template's offset
+// inside the file (after margins)
+function getPrintTransform(width, height, print) {
+  const targetWidth = print.width ? toPixels(print.width, print.unit, print.dpi) : null;
+  const targetHeight = print.height ? toPixels(print.height, print.unit, print.dpi) : null;
+
+  // With only one dimension given, the other follows the template's aspect ratio;
+  // with both the template is fitted inside the garment size and centred
+  const scale = targetWidth && targetHeight
+    ? Math.min(targetWidth / width, targetHeight / height)
+    : (targetWidth ? targetWidth / width : targetHeight / height);
+  const artworkWidth = Math.round(width * scale);
+  const artworkHeight = Math.round(height * scale);
+  const boxWidth = targetWidth || artworkWidth;
+  const boxHeight = targetHeight || artworkHeight;
+  const margins = printMargins(print);
+
+  return {
+    scale,
+    boxWidth,
+    boxHeight,
+    artworkWidth,
+    artworkHeight,
+    left: margins.total + Math.floor((boxWidth - artworkWidth) / 2),
+    top: margins.total + Math.floor((boxHeight - artworkHeight) / 2)
+  };
+}
+
+// Scale a raw composite ({ data, info }) to the print size and add bleed and crop marks.
+// Returns a sharp pipeline carrying the DPI and ICC profile, ready to encode.
+async function applyPrintLayout(composite, print) {
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+  const { boxWidth, boxHeight } = getPrintTransform(composite.info.width, composite.info.height, print);
+  if (Math.max(boxWidth, boxHeight) > MAX_PRINT_PIXELS) {
+    throw new ApiError(400, 'invalid_parameter', `Print size is too large: ${Math.max(boxWidth, boxHeight)}px exceeds ${MAX_PRINT_PIXELS}px`);
+  }
+
+  const scaled = await sharp(composite.data, { raw: composite.info })
+    .resize({
+      width: boxWidth,
+      height: boxHeight,
+      fit: 'contain',
+      background: transparent,
+      kernel: sharp.kernel.lanczos3
+    })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const margins = printMargins(print);
+  let image = sharp(scaled.data, { raw: scaled.info });
+
+  if (margins.bleed > 0) {
+    const bled = await image
+      .extend({ top: margins.bleed, bottom: margins.bleed, left: margins.bleed, right: margins.bleed, extendWith: 'mirror' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    image = sharp(bled.data, { raw: bled.info });
+  }
+
+  // Crop marks go on a transparent margin outside the bleed
+  if (margins.marks > 0) {
+    const marked = await image
+      .extend({ top: margins.marks, bottom: margins.marks, left: margins.marks, right: margins.marks, background: transparent })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    image = sharp(marked.data, { raw: marked.info }).composite([{
+      input: cropMarksSvg(marked.info.width, marked.info.height, margins, print.dpi),
+      top: 0,
+      left: 0
+    }]);
+  }
+
+  return image
+    .withMetadata({ density: print.dpi })
+    .withIccProfile(print.iccProfile);
+}
+
+// Physical dimensions of an exported print file, for the API response. `artwork` is the
+// { width, height } in pixels the template fills inside the garment size, when known.
+async function getPrintInfo(buffer, print, artwork = null) {
+  const { width, height } = await sharp(buffer).metadata();
+  const margins = printMargins(print);
+
+  return {
+    dpi: print.dpi,
+    unit: print.unit,
+    widthPx: width,
+    heightPx: height,
+    width: toUnits(width, print.unit, print.dpi),
+    height: toUnits(height, print.unit, print.dpi),
+    trimWidth: toUnits(width - 2 * margins.total, print.unit, print.dpi),
+    trimHeight: toUnits(height - 2 * margins.total, print.unit, print.dpi),
+    ...(artwork && {
+      artworkWidth: toUnits(artwork.width, print.unit, print.dpi),
+      artworkHeight: toUnits(artwork.height, print.unit, print.dpi)
+    }),
+    bleed: print.bleed,
+    cropMarks: print.cropMarks,
+    iccProfile: print.iccProfile
+  };
+}
+
+module.exports = {
+  PRINT_UNITS,
+  parsePrintOptions,
+  getPrintTransform,
+  applyPrintLayout,
+  getPrintInfo
+};
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+const { encodeOutput, parseOutputOptions } = require('./jersey-processor');
+const { parseBoolean } = require('./parameters');
+const { escapeXml } = require('./xml');
+
+// Customer proofs: a downscaled copy of a processed image with a watermark tiled across the
+// artwork. An image processed as a proof is private: the proof, stored under
+// proofs/<imageId>/, is what is served publicly, and the full-resolution master is only
+// released with a token (see lib/release-tokens.js).
+
+const PROOF_PREFIX = 'proofs/';
+const PROOF_FORMAT = 'webp';
+const PROOF_QUALITY = 80;
+
+const DEFAULT_PROOF_SIZE = 1024;
+const MIN_PROOF_SIZE = 64;
+const MAX_PROOF_SIZE = 2048;
+const DEFAULT_WATERMARK = { text: 'PROOF', opacity: 0.35, angle: -30 };
+const MAX_WATERMARK_LENGTH = 60;
+
+// Watermark text height as a share of the proof's shorter side, and the space around each
+// repeat as a share of the text height
+const TEXT_SIZE_RATIO = 1 / 10;
+const TILE_SPACING = 1.5;
+
+// Validate raw proof parameters; returns null when a proof was not requested
+function parseProofOptions({ proof, proofSize, watermarkText, watermarkOpacity, watermarkAngle } = {}) {
+  if (!parseBoolean(proof)) {
+    return null;
+  }
+
+  const options = { size: DEFAULT_PROOF_SIZE, ...DEFAULT_WATERMARK };
+
+  if (proofSize !== undefined && proofSize !== '') {
+    options.size = Number(proofSize);
+    if (!Number.isInteger(options.size) || options.size < MIN_PROOF_SIZE || options.size > MAX_PROOF_SIZE) {
+      throw new Error(`proofSize must be a whole number of pixels between ${MIN_PROOF_SIZE} and ${MAX_PROOF_SIZE}`);
+    }
+  }
+
+  if (watermarkText !== undefined) {
+    options.text = String(watermarkText).trim();
+    // Control characters have no place in the rendered text
+    if (!options.text || options.text.length > MAX_WATERMARK_LENGTH || /[\u0000-\u001f\u007f]/.test(options.text)) {
+      throw new Error(`watermarkText must be 1 to ${MAX_WATERMARK_LENGTH} printable characters`);
+    }
+  }
+
+  if (watermarkOpacity !== undefined && watermarkOpacity !== '') {
+    options.opacity = Number(watermarkOpacity);
+    if (!Number.isFinite(options.opacity) || options.opacity <= 0 || options.opacity > 1) {
+      throw new Error('watermarkOpacity must be a number greater than 0 and at most 1');
+    }
+  }
+
+  if (watermarkAngle !== undefined && watermarkAngle !== '') {
+    options.angle = Number(watermarkAngle);
+    if (!Number.isFinite(options.angle) || options.angle < -90 || options.angle > 90) {
+      throw new Error('watermarkAngle must be a number of degrees between -90 and 90');
+    }
+  }
+
+  return options;
+}
+
+// Storage key of an image's proof
+function proofKey(imageId) {
+  return `${PROOF_PREFIX}${imageId}/proof.${PROOF_FORMAT}`;
+}
+
+// SVG of the watermark text repeated across a width x height area at the given angle,
+// light text with a dark outline so it shows on any colour
+function watermarkSvg(width, height, { text, opacity, angle }) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) * TEXT_SIZE_RATIO));
+  // Sans-serif capitals average about 0.65em wide
+  const tileWidth = Math.round(text.length * fontSize * 0.65 + fontSize * TILE_SPACING);
+  const tileHeight = Math.round(fontSize * (1 + TILE_SPACING));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <pattern id="watermark" width="${tileWidth}" height="${tileHeight}" patternUnits="userSpaceOnUse" patternTransform="rotate(${angle})">
+      <text x="${tileWidth / 2}" y="${tileHeight / 2}" text-anchor="middle" dominant-baseline="central"
+        font-family="sans-serif" font-weight="bold" font-size="${fontSize}"
+        fill="#ffffff" stroke="#000000" stroke-width="${Math.max(1, fontSize / 24)}">${escapeXml(text)}</text>
+    </pattern>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#watermark)" opacity="${opacity}"/>
+</svg>`;
+}
+
+// Render the proof of an encoded image: scaled to fit within options.size (never enlarged),
+// with the watermark tiled over the artwork only, so transparent areas stay clear.
+// Resolves with { data, info } of the encoded proof.
+async function renderProof(input, options) {
+  const { data, info } = await sharp(input)
+    .resize({ width: options.size, height: options.size, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const image = sharp(data, { raw: info }).composite([{
+    input: Buffer.from(watermarkSvg(info.width, info.height, options)),
+    blend: 'atop'
+  }]);
+  const output = parseOutputOptions({ format: PROOF_FORMAT, quality: PROOF_QUALITY });
+  return encodeOutput(image, output).toBuffer({ resolveWithObject: true });
+}
+
+module.exports = {
+  PROOF_PREFIX,
+  PROOF_FORMAT,
+  parseProofOptions,
+  proofKey,
+  renderProof
+};
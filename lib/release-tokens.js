@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { parseInteger } = require('./parameters');
+
+// Release tokens for the full-resolution masters of proofed images (see proofs.js). A token
+// is created through the API and handed to the customer once they have paid; it downloads
+// the master until it expires or its uses run out. Tokens are kept in a JSON file:
+//   [{ "id": "<hex>", "imageId": "<id>", "tokenSha256": "<hex>", "createdBy": "storefront",
+//      "createdAt": "<ISO>", "expiresAt": "<ISO>", "usesLeft": 1 }]
+// Only the SHA-256 of each token is stored; usesLeft is null for tokens limited by expiry alone.
+
+const MINUTE = 60 * 1000;
+const EXPIRED_KEPT = 24 * 60 * MINUTE; // how long expired tokens are still recognised
+const DEFAULT_EXPIRES_IN = 24 * 60; // minutes
+const MAX_EXPIRES_IN = 30 * 24 * 60;
+const DEFAULT_USES = 1;
+const MAX_USES = 100;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Validate raw release parameters: `expiresIn` in minutes, and `uses`, the number of
+// downloads allowed, where 0 allows any number until the token expires
+function parseReleaseOptions({ expiresIn, uses } = {}) {
+  return {
+    expiresIn: parseInteger(expiresIn, 'expiresIn', 1, MAX_EXPIRES_IN, DEFAULT_EXPIRES_IN),
+    uses: parseInteger(uses, 'uses', 0, MAX_USES, DEFAULT_USES)
+  };
+}
+
+class ReleaseTokens {
+  constructor({ file }) {
+    this.file = file;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  list() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  save(tokens) {
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(tokens, null, 2));
+    fs.renameSync(tempPath, this.file);
+  }
+
+  // Create a token for an image's master with parseReleaseOptions options. Returns the
+  // stored record with the token itself, which is shown once and not kept.
+  create(imageId, { expiresIn, uses }, createdBy = null, now = Date.now()) {
+    const token = `rt_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      imageId,
+      tokenSha256: hashToken(token),
+      createdBy,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresIn * MINUTE).toISOString(),
+      usesLeft: uses || null
+    };
+    this.save([...this.prune(this.list(), now), record]);
+    return { ...record, token };
+  }
+
+  // Use a token for an image's master. Returns the token's state as { status, record }:
+  // `ok`, `invalid` for unknown tokens or other images, `expired` or `used`. An `ok` token
+  // loses one use, unless `use` is false to only check it.
+  redeem(imageId, token, { use = true } = {}, now = Date.now()) {
+    if (!token) {
+      return { status: 'invalid', record: null };
+    }
+
+    const digest = Buffer.from(hashToken(token), 'hex');
+    const tokens = this.list();
+    const record = tokens.find(entry => {
+      const stored = Buffer.from(entry.tokenSha256, 'hex');
+      return stored.length === digest.length && crypto.timingSafeEqual(stored, digest);
+    });
+
+    if (!record || record.imageId !== imageId) {
+      return { status: 'invalid', record: null };
+    }
+    if (Date.parse(record.expiresAt) <= now) {
+      return { status: 'expired', record };
+    }
+    if (record.usesLeft === 0) {
+      return { status: 'used', record };
+    }
+
+    if (use && record.usesLeft !== null) {
+      record.usesLeft -= 1;
+      this.save(tokens);
+    }
+    return { status: 'ok', record };
+  }
+
+  // Drop every token for an image, when the image is removed
+  revoke(imageId) {
+    const tokens = this.list();
+    const kept = tokens.filter(entry => entry.imageId !== imageId);
+    if (kept.length < tokens.length) {
+      this.save(kept);
+    }
+  }
+
+  // Tokens still worth keeping. Expired tokens are kept for a while, so a late download is
+  // told the token expired rather than that it is unknown.
+  prune(tokens, now = Date.now()) {
+    return tokens.filter(entry => Date.parse(entry.expiresAt) > now - EXPIRED_KEPT);
+  }
+}
+
+module.exports = {
+  ReleaseTokens,
+  parseReleaseOptions,
+  hashToken
+};
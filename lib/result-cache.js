@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Content-addressed cache of processed templates. A request's key is a hash of every input
+// file's bytes, the collar image and the processing parameters, and doubles as the image ID:
+// the template is stored as outputs/<key>.<ext>. The response details that cannot be read
+// back from the file (gap, panel boxes, print size) are kept in a JSON record per key, so
+// an identical request is answered without running the pipeline again. The records also
+// hold each image's metadata (inputs, request parameters, timing), and are listed as the
+// image history.
+
+// Bump when the pipeline output changes for the same input, so old results are not reused
+const PIPELINE_VERSION = 1;
+
+// Hex characters of the SHA-256 digest kept for the key (128 bits)
+const KEY_LENGTH = 32;
+
+// JSON with object keys sorted, so equal parameters always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// SHA-256 of a file's bytes
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+class ResultCache {
+  constructor({ directory }) {
+    this.directory = directory;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  // SHA-256 of each input file. `files` maps input names to file paths (null when not sent);
+  // resolves with the same names mapped to hex digests (null when not sent).
+  async digests(files) {
+    const digests = {};
+    for (const name of Object.keys(files)) {
+      digests[name] = files[name] ? await hashFile(files[name]) : null;
+    }
+    return digests;
+  }
+
+  // Key for a request, from its input file `digests` and `params`, which hold every
+  // parameter that affects the output
+  key(digests, params) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`jersey-template:${PIPELINE_VERSION}\n`);
+
+    for (const name of Object.keys(digests).sort()) {
+      hash.update(`${name}:${digests[name] || '-'}\n`);
+    }
+    hash.update(stableStringify(params));
+
+    return hash.digest('hex').slice(0, KEY_LENGTH);
+  }
+
+  get pipelineVersion() {
+    return PIPELINE_VERSION;
+  }
+
+  recordPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  // The stored record for a key, or null when there is none
+  get(key) {
+    const recordPath = this.recordPath(key);
+    if (!fs.existsSync(recordPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+  }
+
+  // Store a record; written to a temporary file first so readers never see a partial record
+  set(key, record) {
+    const recordPath = this.recordPath(key);
+    const tempPath = `${recordPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tempPath, recordPath);
+  }
+
+  // Every stored record, skipping any that are unreadable or mid-write
+  list() {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .flatMap(name => {
+        try {
+          return [JSON.parse(fs.readFileSync(path.join(this.directory, name), 'utf8'))];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+
+  delete(key) {
+    const recordPath = this.recordPath(key);
+    if (fs.existsSync(recordPath)) {
+      fs.unlinkSync(recordPath);
+    }
+  }
+}
+
+module.exports = ResultCache;
@@ -0,0 +1,282 @@
+const path = require('path');
+const fs = require('fs');
+const Logger = require('./logger');
+
+// Storage housekeeping for processed images and uploads: a background sweep deletes images
+// older than the retention time and uploads left behind by failed requests, and a size quota
+// evicts the oldest images first. Images live in a storage driver (see storage.js); uploads
+// are always on local disk. An image's age counts from when it was written or last returned
+// from the result cache.
+
+const MINUTE = 60 * 1000;
+
+// Image IDs are UUIDs or hex cache keys; anything else could address other stored objects
+const IMAGE_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function isValidImageId(imageId) {
+  return typeof imageId === 'string' && IMAGE_ID_PATTERN.test(imageId);
+}
+
+// Images are stored at the top level as <imageId>.<extension>
+const IMAGE_KEY_PATTERN = /^([A-Za-z0-9-]+)\.([a-z0-9]+)$/;
+
+// Files in a directory with their size and modification time, skipping anything that
+// disappears while listing
+function listFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory).flatMap(name => {
+    const filePath = path.join(directory, name);
+    try {
+      const stat = fs.statSync(filePath);
+      return stat.isFile() ? [{ name, path: filePath, bytes: stat.size, modifiedAt: stat.mtimeMs }] : [];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+class RetentionManager {
+  // retentionMs and quotaBytes of 0 disable expiry and the quota.
+  // derivedPrefixes: key prefixes under which files made from an image are kept as
+  //   <prefix><imageId>/..., such as resized variants; they are removed with the image.
+  // orphanMinAgeMs: derived files without their image are only removed once the newest of them
+  //   is this old, as an image's derived files can be written before it, such as its proof.
+  // uploadInUse(filePath): whether an upload is still needed, such as by a queued job; stale
+  //   uploads in use are kept.
+  // onRemove(imageId) is called after an image's files are deleted.
+  // logger: where sweep results and failures are logged (see logger.js)
+  constructor({
+    storage,
+    uploadsDir,
+    extensions,
+    derivedPrefixes = [],
+    retentionMs = 0,
+    uploadMaxAgeMs = 60 * MINUTE,
+    quotaBytes = 0,
+    intervalMs = 10 * MINUTE,
+    orphanMinAgeMs = 10 * MINUTE,
+    uploadInUse = () => false,
+    onRemove = null,
+    logger = new Logger()
+  }) {
+    this.storage = storage;
+    this.uploadsDir = uploadsDir;
+    this.extensions = extensions;
+    this.derivedPrefixes = derivedPrefixes;
+    this.retentionMs = retentionMs;
+    this.uploadMaxAgeMs = uploadMaxAgeMs;
+    this.uploadInUse = uploadInUse;
+    this.quotaBytes = quotaBytes;
+    this.intervalMs = intervalMs;
+    this.orphanMinAgeMs = orphanMinAgeMs;
+    this.onRemove = onRemove;
+    this.logger = logger;
+    this.timer = null;
+  }
+
+  // Image ID a derived file belongs to, or null for other keys
+  derivedImageId(key) {
+    const prefix = this.derivedPrefixes.find(candidate => key.startsWith(candidate));
+    const parts = prefix ? key.slice(prefix.length).split('/') : [];
+    return parts.length > 1 && isValidImageId(parts[0]) ? parts[0] : null;
+  }
+
+  // Image ID a stored image or derived file belongs to, or null for other keys
+  imageIdOf(key) {
+    const match = IMAGE_KEY_PATTERN.exec(key);
+    if (match && this.extensions.includes(match[2])) {
+      return match[1];
+    }
+    return this.derivedImageId(key);
+  }
+
+  // Stored images, oldest first, as { imageId, keys, bytes, modifiedAt, writtenAt, orphaned }.
+  // Derived files count towards an image's size but not its age; writtenAt is when any of its
+  // files was last written. Derived files whose image is gone are listed as an orphaned
+  // image, which sorts first.
+  async listImages() {
+    const images = new Map();
+    const imageFor = imageId => {
+      if (!images.has(imageId)) {
+        images.set(imageId, { imageId, keys: [], bytes: 0, modifiedAt: 0, writtenAt: 0, orphaned: true });
+      }
+      return images.get(imageId);
+    };
+
+    for (const object of await this.storage.list()) {
+      const imageId = this.imageIdOf(object.key);
+      if (!imageId) {
+        continue;
+      }
+      const primary = !this.derivedImageId(object.key);
+
+      const image = imageFor(imageId);
+      image.keys.push(object.key);
+      image.bytes += object.bytes;
+      image.writtenAt = Math.max(image.writtenAt, object.modifiedAt);
+      if (primary) {
+        image.orphaned = false;
+        image.modifiedAt = Math.max(image.modifiedAt, object.modifiedAt);
+      }
+    }
+
+    return [...images.values()].sort((a, b) => a.modifiedAt - b.modifiedAt);
+  }
+
+  // Number of stored images and the total size in bytes of them and their derived files
+  async usage() {
+    const images = await this.listImages();
+    return {
+      images: images.filter(image => !image.orphaned).length,
+      bytes: images.reduce((sum, image) => sum + image.bytes, 0)
+    };
+  }
+
+  // Number and total size of files waiting in the uploads directory
+  uploadUsage() {
+    const files = listFiles(this.uploadsDir);
+    return { files: files.length, bytes: files.reduce((sum, file) => sum + file.bytes, 0) };
+  }
+
+  // Delete every file stored for an image, including derived files; resolves false when
+  // the image itself was not there
+  async removeImage(imageId) {
+    if (!isValidImageId(imageId)) {
+      return false;
+    }
+
+    const results = await Promise.all(
+      this.extensions.map(extension => this.storage.delete(`${imageId}.${extension}`))
+    );
+    for (const prefix of this.derivedPrefixes) {
+      for (const object of await this.storage.list(`${prefix}${imageId}/`)) {
+        await this.storage.delete(object.key);
+      }
+    }
+    const removed = results.some(Boolean);
+
+    if (removed && this.onRemove) {
+      this.onRemove(imageId);
+    }
+    return removed;
+  }
+
+  // Whether a listed image is derived files whose image may still be being written
+  isFreshOrphan(image, now = Date.now()) {
+    return image.orphaned && now - image.writtenAt < this.orphanMinAgeMs;
+  }
+
+  // Delete the files of a listed image
+  async removeListed(image) {
+    for (const key of image.keys) {
+      await this.storage.delete(key);
+    }
+    if (!image.orphaned && this.onRemove) {
+      this.onRemove(image.imageId);
+    }
+  }
+
+  // Evict the oldest images until the total size fits the quota. `keepImageId`, usually
+  // the image just written, is never evicted. Resolves with the evicted image IDs.
+  async enforceQuota(keepImageId = null) {
+    if (!this.quotaBytes) {
+      return [];
+    }
+
+    const images = await this.listImages();
+    let total = images.reduce((sum, image) => sum + image.bytes, 0);
+    const evicted = [];
+
+    for (const image of images) {
+      if (total <= this.quotaBytes) {
+        break;
+      }
+      if (image.imageId === keepImageId || this.isFreshOrphan(image)) {
+        continue;
+      }
+      await this.removeListed(image);
+      total -= image.bytes;
+      if (!image.orphaned) {
+        evicted.push(image.imageId);
+      }
+    }
+    return evicted;
+  }
+
+  // Delete expired images, orphaned derived files, stale uploads and abandoned temporary
+  // output files, then apply the quota
+  async sweep(now = Date.now()) {
+    const expired = [];
+    for (const image of await this.listImages()) {
+      if (this.isFreshOrphan(image, now)) {
+        continue;
+      }
+      if (image.orphaned) {
+        await this.removeListed(image);
+      } else if (this.retentionMs && now - image.modifiedAt > this.retentionMs) {
+        await this.removeListed(image);
+        expired.push(image.imageId);
+      }
+    }
+
+    const staleUploads = listFiles(this.uploadsDir)
+      .filter(file => now - file.modifiedAt > this.uploadMaxAgeMs && !this.uploadInUse(file.path))
+      .filter(file => removeFile(file.path)).length;
+
+    const staleTemp = (await this.storage.list())
+      .filter(object => object.key.endsWith('.tmp') && now - object.modifiedAt > this.uploadMaxAgeMs);
+    for (const object of staleTemp) {
+      await this.storage.delete(object.key);
+    }
+
+    const evicted = await this.enforceQuota();
+    return { expired, staleUploads, evicted };
+  }
+
+  // Sweep on a timer; the timer does not keep the process alive
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const { expired, staleUploads, evicted } = await this.sweep();
+        if (expired.length || staleUploads || evicted.length) {
+          this.logger.info('Storage sweep', { expired: expired.length, evicted: evicted.length, staleUploads });
+        }
+      } catch (error) {
+        this.logger.error('Storage sweep failed', { error });
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  RetentionManager,
+  isValidImageId
+};
@@ -0,0 +1,91 @@
+// Team roster CSV parsing for personalised batches.
+// The CSV needs a name and a number per row. A header row naming the `name` and
+// `number` columns is optional; without one the first two columns are used.
+
+// Split CSV text into rows of fields, honouring quoted fields with commas, quotes and newlines.
+// Returns [{ line, fields }], where line is the file line the row starts on, counting from 1.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // A line break inside a quoted field still starts a new line of the file
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+// Parse roster CSV text into [{ row, name, number }], where row is the player's line in the
+// file, so errors point at the line to fix even when blank lines come before it
+function parseRoster(text, maxRows) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    throw new Error('Roster is empty');
+  }
+
+  const header = rows[0].fields.map(value => value.trim().toLowerCase());
+  const hasHeader = header.includes('name') || header.includes('number');
+  const nameColumn = hasHeader ? header.indexOf('name') : 0;
+  const numberColumn = hasHeader ? header.indexOf('number') : 1;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  if (dataRows.length === 0) {
+    throw new Error('Roster has no players');
+  }
+  if (dataRows.length > maxRows) {
+    throw new Error(`Roster has more than ${maxRows} players`);
+  }
+
+  return dataRows.map(({ line, fields }) => ({
+    row: line,
+    name: nameColumn >= 0 ? (fields[nameColumn] || '').trim() : '',
+    number: numberColumn >= 0 ? (fields[numberColumn] || '').trim() : ''
+  }));
+}
+
+module.exports = {
+  parseCsv,
+  parseRoster
+};
@@ -0,0 +1,148 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Storage driver for Amazon S3 and S3-compatible services such as MinIO. Objects are
+// stored under an optional key prefix in one bucket. Download URLs are presigned and
+// expire after `urlExpiresIn` seconds, unless `publicUrl` is set for a public bucket or CDN.
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+class S3Storage {
+  constructor({
+    bucket,
+    region = 'us-east-1',
+    endpoint = null,
+    forcePathStyle = Boolean(endpoint),
+    accessKeyId = null,
+    secretAccessKey = null,
+    prefix = '',
+    urlExpiresIn = 3600,
+    publicUrl = null
+  }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.urlExpiresIn = urlExpiresIn;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+
+    // Without explicit keys the SDK's default credential chain (environment, profile, IAM role) is used
+    this.client = new S3Client({
+      region,
+      forcePathStyle,
+      ...(endpoint && { endpoint }),
+      ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ...(contentType && { ContentType: contentType })
+    }));
+  }
+
+  // Size and modification time (ms) of an object, or null when it does not exist
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { bytes: head.ContentLength, modifiedAt: head.LastModified.getTime() };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // An object's contents as a readable stream with its stat, or null when it does not exist
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { bytes: object.ContentLength, modifiedAt: object.LastModified.getTime(), stream: object.Body };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // S3 deletes succeed whether or not the object exists, so check first to report a miss
+  async delete(key) {
+    if (!await this.stat(key)) {
+      return false;
+    }
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    return true;
+  }
+
+  // Every object whose key starts with `prefix`, as { key, bytes, modifiedAt }
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+      (page.Contents || []).forEach(object => objects.push({
+        key: object.Key.slice(this.prefix.length),
+        bytes: object.Size,
+        modifiedAt: object.LastModified.getTime()
+      }));
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  // S3 has no way to set the modification time, so copy the object onto itself
+  async touch(key) {
+    const objectKey = this.objectKey(key);
+    const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: objectKey }));
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: objectKey,
+      CopySource: `${this.bucket}/${objectKey.split('/').map(encodeURIComponent).join('/')}`,
+      MetadataDirective: 'REPLACE',
+      ContentType: head.ContentType,
+      Metadata: head.Metadata
+    }));
+  }
+
+  async url(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${this.objectKey(key).split('/').map(encodeURIComponent).join('/')}`;
+    }
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: this.urlExpiresIn }
+    );
+  }
+}
+
+module.exports = S3Storage;
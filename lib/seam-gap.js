@@ -0,0 +1,74 @@
+const sharp = require('sharp');
+
+// Automatic gap between the first two panels of a layout (usually the rotated back and
+// the front, meeting at the shoulder line). For every column along the seam it measures
+// how far into each panel's edge rows the solid silhouette starts, and picks the overlap
+// that closes the seam for most columns. Hard edges butt together; soft or ragged edges
+// overlap just enough to hide the see-through line between them.
+
+const SEAM_WINDOW = 0.05; // share of the shorter panel's content length searched from each edge
+const SEAM_PERCENTILE = 0.9; // share of seam columns that must be closed
+const SOLID_ALPHA = 240; // pixels at least this opaque count as solid silhouette
+
+// Depth of the first solid pixel from one content edge (`start` or `end` along the layout
+// direction) for every position across it, or null where there is none within the window
+async function edgeDepths(panel, edge, vertical, window) {
+  const { data, info } = await sharp(panel.buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const crossLength = vertical ? info.width : info.height;
+  const start = vertical ? panel.bounds.top : panel.bounds.left;
+  const end = vertical ? panel.bounds.bottom : panel.bounds.right;
+  const depths = new Array(crossLength).fill(null);
+
+  for (let cross = 0; cross < crossLength; cross++) {
+    for (let depth = 0; depth < window && depth <= end - start; depth++) {
+      const main = edge === 'start' ? start + depth : end - depth;
+      const x = vertical ? cross : main;
+      const y = vertical ? main : cross;
+      if (data[(y * info.width + x) * 4 + 3] >= SOLID_ALPHA) {
+        depths[cross] = depth;
+        break;
+      }
+    }
+  }
+
+  return depths;
+}
+
+// Spacing for arrangePanels that joins `first` and `second` ({ buffer, bounds }) seamlessly.
+// `crossOffsets` are the two panels' positions across the layout direction, from arrangePanels.
+// Returns null when the panels have no solid edge rows facing each other.
+async function detectSeamGap(first, second, layout, crossOffsets) {
+  const vertical = layout.direction === 'vertical';
+  const contentLength = panel => (vertical ? panel.bounds.height : panel.bounds.width);
+  const window = Math.max(1, Math.round(SEAM_WINDOW * Math.min(contentLength(first), contentLength(second))));
+
+  const firstDepths = await edgeDepths(first, 'end', vertical, window);
+  const secondDepths = await edgeDepths(second, 'start', vertical, window);
+
+  // Pair up the two edges in template coordinates; only columns where both panels reach
+  // the seam take part, so a neckline or sloped sleeve does not force a deep overlap
+  const seamDepths = [];
+  firstDepths.forEach((firstDepth, index) => {
+    const secondDepth = secondDepths[index + crossOffsets[0] - crossOffsets[1]];
+    if (firstDepth !== null && secondDepth !== undefined && secondDepth !== null) {
+      seamDepths.push(firstDepth + secondDepth);
+    }
+  });
+
+  if (seamDepths.length === 0) {
+    return null;
+  }
+
+  seamDepths.sort((a, b) => a - b);
+  const depth = seamDepths[Math.min(seamDepths.length - 1, Math.floor(SEAM_PERCENTILE * seamDepths.length))];
+
+  // Spacing 1 puts the second panel's first content row right after the first panel's last one
+  return 1 - depth;
+}
+
+module.exports = {
+  detectSeamGap
+};
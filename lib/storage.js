@@ -0,0 +1,31 @@
+const LocalStorage = require('./local-storage');
+
+// Storage for processed images. Every driver implements the same async interface:
+//   put(key, body, { contentType })  store a Buffer
+//   get(key)      { stream, bytes, modifiedAt }, or null when missing
+//   stat(key)     { bytes, modifiedAt }, or null when missing
+//   delete(key)   true when something was deleted
+//   list(prefix)  [{ key, bytes, modifiedAt }]
+//   touch(key)    reset the modification time to now
+//   url(key, { baseUrl })  a download URL for clients
+// Keys are relative paths such as `<imageId>.png`; `modifiedAt` is in milliseconds.
+
+const DRIVERS = {
+  local: options => new LocalStorage(options),
+  // Loaded on demand, so the AWS SDK is only required when S3 is used
+  s3: options => new (require('./s3-storage'))(options)
+};
+
+// Create the driver named `driver` (local or s3) with its options
+function createStorage(driver, options) {
+  const create = DRIVERS[driver];
+  if (!create) {
+    throw new Error(`Unknown storage driver: ${driver}. Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return create(options);
+}
+
+module.exports = {
+  DRIVERS,
+  createStorage
+};
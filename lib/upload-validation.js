@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const { ApiError } = require('./errors');
+
+// Upload checks based on file contents rather than the client's filename or mimetype.
+// Images are identified by their signature bytes and their dimensions read from the header,
+// so an image too large to decode safely (a decompression bomb) is refused before any of its
+// pixels are allocated.
+
+const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp'];
+
+// Defaults for MAX_IMAGE_PIXELS and MAX_IMAGE_DIMENSION
+const DEFAULT_IMAGE_LIMITS = { maxPixels: 40000000, maxDimension: 10000 };
+
+// Enough leading bytes for every signature below
+const HEAD_BYTES = 16;
+
+// Longest stored filename, extension included
+const MAX_FILENAME_LENGTH = 100;
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// File type from the leading bytes of a file: png, jpeg, gif, webp, zip, or null
+function detectFileType(head) {
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'png';
+  }
+  if (startsWith(head, [0xff, 0xd8, 0xff])) {
+    return 'jpeg';
+  }
+  if (startsWith(head, Buffer.from('GIF87a')) || startsWith(head, Buffer.from('GIF89a'))) {
+    return 'gif';
+  }
+  if (startsWith(head, Buffer.from('RIFF')) && startsWith(head, Buffer.from('WEBP'), 8)) {
+    return 'webp';
+  }
+  // A local file header, or the end-of-directory record of an empty archive
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) {
+    return 'zip';
+  }
+  return null;
+}
+
+async function readHead(filePath, length = HEAD_BYTES) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check that an upload (file path or buffer) is a supported image within the size limits.
+// Resolves with { type, width, height }; throws ApiError otherwise.
+async function validateImage(input, { maxPixels, maxDimension } = DEFAULT_IMAGE_LIMITS) {
+  const head = Buffer.isBuffer(input) ? input.subarray(0, HEAD_BYTES) : await readHead(input);
+  const type = detectFileType(head);
+  if (!IMAGE_TYPES.includes(type)) {
+    throw new ApiError(415, 'unsupported_file_type', `Not a supported image. Use one of ${IMAGE_TYPES.join(', ')}`);
+  }
+
+  // Only the header is read, so sharp's own pixel limit is not needed for this step
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new ApiError(400, 'invalid_image', `The ${type} image could not be read`);
+  }
+
+  const { width, height } = metadata;
+  if (!width || !height) {
+    throw new ApiError(400, 'invalid_image', `The ${type} image has no dimensions`);
+  }
+  if (width > maxDimension || height > maxDimension || width * height > maxPixels) {
+    throw new ApiError(
+      413,
+      'image_too_large',
+      `Image is ${width}x${height}; at most ${maxDimension} pixels per side and ${maxPixels} pixels in total are accepted`,
+      { width, height, maxDimension, maxPixels }
+    );
+  }
+  return { type, width, height };
+}
+
+// Check that an uploaded file is a ZIP archive; throws ApiError otherwise
+async function validateArchive(filePath) {
+  if (detectFileType(await readHead(filePath)) !== 'zip') {
+    throw new ApiError(415, 'unsupported_file_type', 'Archive must be a ZIP file');
+  }
+}
+
+// Check that an uploaded file is plain text, as CSV must be; throws ApiError otherwise
+async function validateText(filePath) {
+  const content = await fs.promises.readFile(filePath);
+  if (content.includes(0) || !content.equals(Buffer.from(content.toString('utf8'), 'utf8'))) {
+    throw new ApiError(415, 'unsupported_file_type', 'Roster must be a UTF-8 CSV file');
+  }
+}
+
+// A client-supplied filename made safe to store and record: no directories, control
+// characters or shell-sensitive characters, and at most MAX_FILENAME_LENGTH characters
+function sanitizeFilename(name, fallback = 'upload') {
+  const base = String(name || '').split(/[/\\]/).pop();
+  const safe = base
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^[._-]+|[._-]+$/g, '');
+
+  const dot = safe.lastIndexOf('.');
+  const extension = dot > 0 ? safe.slice(dot).slice(0, 10) : '';
+  const stem = (dot > 0 ? safe.slice(0, dot) : safe).slice(0, MAX_FILENAME_LENGTH - extension.length);
+  return stem ? `${stem}${extension}` : fallback;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  DEFAULT_IMAGE_LIMITS,
+  detectFileType,
+  validateImage,
+  validateArchive,
+  validateText,
+  sanitizeFilename
+};
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./logger');
+
+// Webhook deliveries for `callbackUrl`: a JSON payload is POSTed to the URL once processing
+// finishes, signed with HMAC-SHA256 so receivers can check it came from this server:
+//   X-Webhook-Id: <delivery id>
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+// A delivery is retried with exponential backoff until the receiver answers 2xx or
+// maxAttempts is reached. Deliveries are kept as JSON per image ID, so their history can be
+// queried and pending retries resume after a restart.
+// Receivers must resolve to public addresses, checked when a request names the URL and again
+// before every attempt, so callbacks cannot probe the server's own network; hosts in
+// allowedHosts, such as a local receiver during development, are exempt.
+
+const HOUR = 60 * 60 * 1000;
+const MAX_URL_LENGTH = 2048;
+
+// Loopback, private, link-local, shared, benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Parse a comma-separated list of host names, such as WEBHOOK_ALLOWED_HOSTS
+function parseAllowedHosts(value) {
+  return String(value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Validate a raw callbackUrl parameter: an absolute http(s) URL without credentials.
+// Returns null when omitted; throws on invalid values.
+function parseCallbackUrl(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new Error('callbackUrl must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('callbackUrl must be an absolute http or https URL');
+  }
+  if (url.username || url.password) {
+    throw new Error('callbackUrl must not contain credentials');
+  }
+  if (url.href.length > MAX_URL_LENGTH) {
+    throw new Error(`callbackUrl must be at most ${MAX_URL_LENGTH} characters`);
+  }
+  return url.href;
+}
+
+// Signature header value for a payload body sent at `timestamp` (unix seconds)
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Check a received payload's signature header, for receivers
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+class WebhookDispatcher {
+  // secret: HMAC key; deliveries are refused while it is not set
+  // retryBaseMs: delay before the first retry, doubled for each retry after it
+  // historyMs: how long finished deliveries are kept
+  constructor({
+    directory,
+    secret,
+    maxAttempts = 6,
+    retryBaseMs = 10 * 1000,
+    timeoutMs = 10 * 1000,
+    historyMs = 7 * 24 * HOUR,
+    allowedHosts = [],
+    logger = new Logger()
+  }) {
+    this.directory = directory;
+    this.secret = secret || null;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.historyMs = historyMs;
+    this.allowedHosts = allowedHosts.map(host => host.toLowerCase());
+    this.logger = logger;
+    this.timers = new Map(); // delivery id -> retry timer
+    this.pruneTimer = null;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  // Check that a callback URL's host resolves only to public addresses, unless it is an
+  // allowed host. Resolves when it does; rejects with a message for the client otherwise.
+  async checkUrl(url) {
+    if (!url) {
+      return;
+    }
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.allowedHosts.includes(hostname)) {
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`callbackUrl host ${hostname} could not be resolved`);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`callbackUrl host ${hostname} is not a public address`);
+    }
+  }
+
+  historyPath(imageId) {
+    return path.join(this.directory, `${imageId}.json`);
+  }
+
+  // Every delivery for an image, oldest first
+  history(imageId) {
+    const historyPath = this.historyPath(imageId);
+    if (!fs.existsSync(historyPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  }
+
+  // Replace one delivery in its image's history, or add it
+  save(delivery) {
+    const deliveries = this.history(delivery.imageId).filter(entry => entry.id !== delivery.id);
+    deliveries.push(delivery);
+
+    const historyPath = this.historyPath(delivery.imageId);
+    const tempPath = `${historyPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(deliveries, null, 2));
+    fs.renameSync(tempPath, historyPath);
+  }
+
+  // Queue a payload ({ event, ...fields }) for delivery to `url`, filed under `imageId`.
+  // The first attempt starts straight away; returns the delivery record.
+  send(imageId, url, payload) {
+    const id = uuidv4();
+    const delivery = {
+      id,
+      imageId,
+      url,
+      event: payload.event,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      attempts: [],
+      payload: { id, ...payload, imageId, createdAt: new Date().toISOString() }
+    };
+    this.save(delivery);
+    this.attempt(delivery).catch(error => this.logger.error('Webhook attempt failed', { deliveryId: id, error }));
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    this.timers.delete(delivery.id);
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+    try {
+      // The host may resolve differently since the URL was accepted
+      await this.checkUrl(delivery.url);
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'jersey-image-api-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(this.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `Receiver answered ${response.status}`;
+      }
+      await response.body?.cancel();
+    } catch (error) {
+      if (error.message.startsWith('callbackUrl host')) {
+        attempt.error = error.message;
+      } else if (error.name === 'TimeoutError') {
+        attempt.error = `No response within ${this.timeoutMs}ms`;
+      } else {
+        // fetch reports connection failures as "fetch failed" with the reason as the cause
+        attempt.error = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+      }
+    }
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      this.logger.warn('Webhook delivery failed', { deliveryId: delivery.id, imageId: delivery.imageId, url: delivery.url, error: attempt.error });
+    } else {
+      const delay = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.schedule(delivery);
+    }
+
+    this.save(delivery);
+    this.logger.info('Webhook attempt', {
+      deliveryId: delivery.id,
+      imageId: delivery.imageId,
+      attempt: delivery.attempts.length,
+      statusCode: attempt.statusCode,
+      status: delivery.status,
+      error: attempt.error || undefined
+    });
+  }
+
+  // Retry a pending delivery at its nextAttemptAt; the timer does not keep the process alive
+  schedule(delivery) {
+    const timer = setTimeout(() => {
+      this.attempt(delivery).catch(error => this.logger.error('Webhook retry failed', { deliveryId: delivery.id, error }));
+    }, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()));
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  // Every image's deliveries, skipping files that are unreadable or mid-write
+  listHistories() {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .flatMap(name => {
+        try {
+          return [{ imageId: path.basename(name, '.json'), deliveries: JSON.parse(fs.readFileSync(path.join(this.directory, name), 'utf8')) }];
+        } catch (error) {
+          return [];
+        }
+      });
+  }
+
+  // Drop finished deliveries older than historyMs, and histories left empty
+  prune(now = Date.now()) {
+    for (const { imageId, deliveries } of this.listHistories()) {
+      const kept = deliveries.filter(delivery => delivery.status === 'pending' || now - Date.parse(delivery.createdAt) < this.historyMs);
+      if (kept.length === 0) {
+        fs.unlinkSync(this.historyPath(imageId));
+      } else if (kept.length < deliveries.length) {
+        const tempPath = `${this.historyPath(imageId)}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(kept, null, 2));
+        fs.renameSync(tempPath, this.historyPath(imageId));
+      }
+    }
+  }
+
+  // Resume deliveries left pending by a restart, and prune old history hourly
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const { deliveries } of this.listHistories()) {
+      deliveries.filter(delivery => delivery.status === 'pending').forEach(delivery => this.schedule(delivery));
+    }
+
+    const prune = () => {
+      try {
+        this.prune();
+      } catch (error) {
+        this.logger.error('Webhook history pruning failed', { error });
+      }
+    };
+    prune();
+    this.pruneTimer = setInterval(prune, HOUR);
+    this.pruneTimer.unref();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  parseCallbackUrl,
+  parseAllowedHosts,
+  sign,
+  verifySignature
+};
@@ -0,0 +1,15 @@
+// Escaping for text placed in the SVG overlays rendered with sharp, such as player names
+// and proof watermarks
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeXml
+};
@@ -1,282 +1,259 @@
-const sharp = require('sharp');
+#!/usr/bin/env node
 const path = require('path');
 const fs = require('fs');
+const { parseArgs } = require('util');
+const {
+  DEFAULT_GAP,
+  OUTPUT_FORMATS,
+  COLLAR_ANCHORS,
+  parseGap,
+  parseCollarPlacement,
+  parseOutputOptions,
+  processJerseyImage
+} = require('./lib/jersey-processor');
 
-async function createTightJerseyTemplate() {
-  const input = path.join(__dirname, '..', 'Front Jersey.png');
-  const output = path.join(__dirname, '..', 'Front_Jersey_result1.png');
-  const collar = path.join(__dirname, 'assets', 'Jersey-Collar.png');
+const { DEFAULT_LAYOUT, getLayout, getLayouts } = require('./lib/layouts');
+const { parsePersonalisation } = require('./lib/personalisation');
+const { parseBackgroundRemoval } = require('./lib/background-removal');
 
-  console.log('Processing image:', input);
-  console.log('Output will be saved to:', output);
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const DEFAULT_COLLAR = path.join(__dirname, 'assets', 'Jersey-Collar.png');
 
-  try {
-    // 1. First, ensure alpha channel exists, then trim transparent/empty space
-    // .ensureAlpha() ensures transparency support
-    const inputImage = sharp(input).ensureAlpha();
-    
-    // Get original dimensions for logging
-    const originalMeta = await inputImage.metadata();
-    console.log(`Original dimensions: ${originalMeta.width}x${originalMeta.height}`);
-    
-    // Trim the image - Sharp's trim() works but may need threshold adjustment
-    // For transparent images: try trim with threshold 0 (most aggressive)
-    // This removes pixels similar to corner pixels (including transparent ones)
-    let trimmedImage = inputImage.trim({ threshold: 0 });
-    
-    // Get the trimmed image as buffer and its dimensions
-    let trimmedBuffer = await trimmedImage.toBuffer();
-    let { width, height } = await sharp(trimmedBuffer).metadata();
-    
-    // If trim didn't reduce size significantly, try custom transparent trim
-    // This handles cases where Sharp's trim() doesn't work well with transparent backgrounds
-    if (originalMeta.width === width && originalMeta.height === height) {
-      console.log('Standard trim did not reduce size, attempting custom transparent trim...');
-      
-      // Get raw image data to find actual content bounds
-      const { data, info } = await inputImage.raw().ensureAlpha().toBuffer({ resolveWithObject: true });
-      const channels = info.channels;
-      
-      let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
-      let hasContent = false;
-      
-      // Scan image to find content bounds (non-transparent pixels)
-      // Use a threshold for alpha to handle semi-transparent pixels
-      const alphaThreshold = 5; // Consider pixels with alpha > 5 as content (lower threshold for better detection)
-      
-      console.log(`Scanning ${info.width}x${info.height} image with ${channels} channels...`);
-      
-      // Scan from edges inward to find first content pixel
-      // This is more efficient and handles transparent padding better
-      
-      // Find top edge (scan top to bottom)
-      for (let y = 0; y < info.height && minY === info.height; y++) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            minY = y;
-            hasContent = true;
-            break;
-          }
-        }
-      }
-      
-      // Find bottom edge (scan bottom to top)
-      for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            maxY = y;
-            hasContent = true;
-            break;
-          }
-        }
-      }
-      
-      // Find left edge (scan left to right)
-      for (let x = 0; x < info.width && minX === info.width; x++) {
-        for (let y = minY; y <= maxY; y++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            minX = x;
-            hasContent = true;
-            break;
-          }
-        }
-      }
-      
-      // Find right edge (scan right to left)
-      for (let x = info.width - 1; x >= 0 && maxX === 0; x--) {
-        for (let y = minY; y <= maxY; y++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            maxX = x;
-            hasContent = true;
-            break;
-          }
-        }
-      }
-      
-      console.log(`Content scan results: hasContent=${hasContent}, bounds: minX=${minX}, minY=${minY}, maxX=${maxX}, maxY=${maxY}`);
-      
-      // If we found content bounds, extract that region
-      if (hasContent && minX < maxX && minY < maxY) {
-        const contentWidth = maxX - minX + 1;
-        const contentHeight = maxY - minY + 1;
-        
-        // Only extract if we actually found a smaller bounding box
-        if (minX > 0 || minY > 0 || maxX < info.width - 1 || maxY < info.height - 1) {
-          console.log(`Extracting content bounds: x=${minX}, y=${minY}, width=${contentWidth}, height=${contentHeight}`);
-          
-          trimmedImage = inputImage.extract({
-            left: minX,
-            top: minY,
-            width: contentWidth,
-            height: contentHeight
-          });
-          
-          trimmedBuffer = await trimmedImage.toBuffer();
-          const extractedMeta = await sharp(trimmedBuffer).metadata();
-          width = extractedMeta.width;
-          height = extractedMeta.height;
-          console.log(`Extracted dimensions: ${width}x${height}`);
-        } else {
-          console.log('Content fills entire image, no trimming needed');
-        }
-      } else {
-        console.log('No content found or invalid bounds');
-      }
-    }
-    
-    if (originalMeta.width !== width || originalMeta.height !== height) {
-      console.log(`Image trimmed: ${originalMeta.width}x${originalMeta.height} -> ${width}x${height}`);
-    }
-    console.log(`Trimmed dimensions (t-shirt only): ${width}x${height}`);
+const USAGE = `Usage: process-jersey <input> [options]
+
+Create a stacked back/front jersey template from a front image.
+<input> may be a single image or a directory of images.
 
-    // 2. Create the flipped back version from the trimmed shirt (preserve transparency)
-    const backSide = await sharp(trimmedBuffer).flip().toBuffer();
-    const frontSide = trimmedBuffer;
+Options:
+  -o, --output <path>    Output file (single image) or directory (directory mode)
+                         Default: <name>_template.<format> next to the input,
+                         or <input>/templates/ in directory mode
+  -b, --back <file>      Separate back-side artwork (single image only)
+      --left-sleeve <file>, --right-sleeve <file>
+                         Sleeve artwork; a single sleeve is mirrored for the other
+  -g, --gap <pixels>     Gap between back and front panels, or auto to detect a
+                         seamless overlap (default: ${DEFAULT_GAP})
+      --fit <mode>       Match differing panel widths: scale or center (default: scale)
+      --remove-background
+                         Cut the jersey out of an opaque background (e.g. a JPEG photo)
+      --background-tolerance <0-255>
+                         Colour difference still treated as background (default: 32)
+      --background-feather <pixels>
+                         Softness of the cut edge, 0 for a hard edge (default: 1)
+  -l, --layout <name>    Layout preset from layouts/ (default: ${DEFAULT_LAYOUT})
+                         Available: ${[...getLayouts().keys()].join(', ')}
+  -c, --collar <file>    Collar overlay image (default: assets/Jersey-Collar.png)
+      --no-collar        Do not add a collar
+      --collar-scale <n> Collar scale factor (default: 0.5)
+      --collar-anchor <a>
+                         Collar anchor: ${COLLAR_ANCHORS.join(', ')} (default: seam)
+      --collar-offset-x <pixels>, --collar-offset-y <pixels>
+                         Move the collar from its anchor point
+      --name <text>      Player name printed across the back shoulders
+      --number <digits>  Player number printed on the back
+      --text-fill <hex>, --text-outline <hex>
+                         Name and number colours (default: #ffffff, #000000)
+  -f, --format <format>  Output format: ${Object.keys(OUTPUT_FORMATS).join(', ')} (default: png)
+  -q, --quality <1-100>  Quality for lossy formats (webp, avif, jpeg)
+      --lossless         Lossless webp or avif output
+      --background <hex> Flatten onto this colour (jpeg defaults to #ffffff)
+  -h, --help             Show this help`;
 
-    // Helper function to find actual content bounds (ignoring transparent edges)
-    async function getContentBounds(imageBuffer) {
-      const { data, info } = await sharp(imageBuffer).raw().ensureAlpha().toBuffer({ resolveWithObject: true });
-      const channels = info.channels;
-      const alphaThreshold = 1; // Consider pixels with alpha > 1 as content (more precise detection)
-      
-      let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
-      
-      // Find top edge
-      for (let y = 0; y < info.height && minY === info.height; y++) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            minY = y;
-            break;
-          }
-        }
-      }
-      
-      // Find bottom edge
-      for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            maxY = y;
-            break;
-          }
-        }
-      }
-      
-      return { top: minY, bottom: maxY, height: maxY - minY + 1 };
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      back: { type: 'string', short: 'b' },
+      'left-sleeve': { type: 'string' },
+      'right-sleeve': { type: 'string' },
+      gap: { type: 'string', short: 'g' },
+      fit: { type: 'string', default: 'scale' },
+      'remove-background': { type: 'boolean', default: false },
+      'background-tolerance': { type: 'string' },
+      'background-feather': { type: 'string' },
+      layout: { type: 'string', short: 'l', default: DEFAULT_LAYOUT },
+      collar: { type: 'string', short: 'c' },
+      'no-collar': { type: 'boolean', default: false },
+      'collar-scale': { type: 'string' },
+      'collar-anchor': { type: 'string' },
+      'collar-offset-x': { type: 'string' },
+      'collar-offset-y': { type: 'string' },
+      name: { type: 'string' },
+      number: { type: 'string' },
+      'text-fill': { type: 'string' },
+      'text-outline': { type: 'string' },
+      format: { type: 'string', short: 'f', default: 'png' },
+      quality: { type: 'string', short: 'q' },
+      lossless: { type: 'boolean', default: false },
+      background: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
     }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 1) {
+    throw new Error('Expected exactly one input file or directory');
+  }
 
-    // Get actual content bounds for both images
-    const backBounds = await getContentBounds(backSide);
-    const frontBounds = await getContentBounds(frontSide);
-    
-    console.log(`Back side content: top=${backBounds.top}, bottom=${backBounds.bottom}, height=${backBounds.height}`);
-    console.log(`Front side content: top=${frontBounds.top}, bottom=${frontBounds.bottom}, height=${frontBounds.height}`);
+  const gap = parseGap(values.gap);
 
-    // 3. Load and prepare collar image (if it exists)
-    let collarBuffer = null;
-    let collarWidth = 0;
-    let collarHeight = 0;
-    let collarLeft = 0;
-    let collarTop = 0;
+  const collarPlacement = parseCollarPlacement({
+    collarScale: values['collar-scale'],
+    collarAnchor: values['collar-anchor'],
+    collarOffsetX: values['collar-offset-x'],
+    collarOffsetY: values['collar-offset-y']
+  });
 
-    try {
-      if (fs.existsSync(collar)) {
-        console.log('Loading collar image:', collar);
-        const collarImage = sharp(collar).ensureAlpha();
-        const collarMeta = await collarImage.metadata();
-        // Resize collar to 50% of original size
-        const originalCollarWidth = collarMeta.width;
-        const originalCollarHeight = collarMeta.height;
-        collarWidth = Math.floor(originalCollarWidth * 0.5);
-        collarHeight = Math.floor(originalCollarHeight * 0.5);
-        
-        collarBuffer = await collarImage
-          .resize(collarWidth, collarHeight, { 
-            kernel: sharp.kernel.lanczos3 // High quality resizing
-          })
-          .toBuffer();
-        
-        // Center the collar horizontally
-        collarLeft = Math.floor((width - collarWidth) / 2);
-        // collarTop will be calculated later after we know the actual total height
-        console.log(`Collar dimensions: ${originalCollarWidth}x${originalCollarHeight} -> ${collarWidth}x${collarHeight} (50%), positioned at (${collarLeft}, ${collarTop})`);
-      } else {
-        console.log('Collar image not found, skipping...');
-      }
-    } catch (collarError) {
-      console.log('Collar image not found or could not be loaded:', collarError.message);
+  const backgroundRemoval = parseBackgroundRemoval({
+    removeBackground: values['remove-background'],
+    backgroundTolerance: values['background-tolerance'],
+    backgroundFeather: values['background-feather']
+  });
+
+  const personalisation = parsePersonalisation({
+    playerName: values.name,
+    playerNumber: values.number,
+    textFill: values['text-fill'],
+    textOutline: values['text-outline']
+  });
+
+  const encoding = parseOutputOptions({
+    format: values.format,
+    quality: values.quality,
+    lossless: values.lossless,
+    background: values.background
+  });
+
+  if (!['scale', 'center'].includes(values.fit)) {
+    throw new Error(`Unsupported fit mode: ${values.fit}`);
+  }
+
+  const layout = getLayout(values.layout);
+  if (!layout) {
+    throw new Error(`Unknown layout: ${values.layout}`);
+  }
+
+  let collar = null;
+  if (!values['no-collar']) {
+    collar = values.collar ? path.resolve(values.collar) : DEFAULT_COLLAR;
+    if (values.collar && !fs.existsSync(collar)) {
+      throw new Error(`Collar image not found: ${collar}`);
     }
+  }
+
+  return {
+    input: path.resolve(positionals[0]),
+    output: values.output ? path.resolve(values.output) : null,
+    back: values.back ? path.resolve(values.back) : null,
+    leftSleeve: values['left-sleeve'] ? path.resolve(values['left-sleeve']) : null,
+    rightSleeve: values['right-sleeve'] ? path.resolve(values['right-sleeve']) : null,
+    gap,
+    fit: values.fit,
+    backgroundRemoval,
+    layout,
+    collar,
+    collarPlacement,
+    personalisation,
+    encoding
+  };
+}
+
+// Process one image and write the template in the requested format
+async function processFile(inputPath, outputPath, options) {
+  console.log(`Processing ${inputPath}`);
+
+  const { data, info } = await processJerseyImage(inputPath, options.collar, options.gap, {
+    backPath: options.back,
+    leftSleevePath: options.leftSleeve,
+    rightSleevePath: options.rightSleeve,
+    fit: options.fit,
+    backgroundRemoval: options.backgroundRemoval,
+    layout: options.layout,
+    output: options.encoding,
+    collar: options.collarPlacement,
+    personalisation: options.personalisation,
+    resolveWithObject: true
+  });
 
-    // 4. Stack jersey parts perfectly aligned (touching at content edges)
-    // ADJUST THIS VARIABLE to control the gap between images (in pixels):
-    // - Negative values: overlap the images (e.g., -1, -2)
-    // - 0: perfect touch (no gap, no overlap)
-    // - Positive values: add gap between images (e.g., 1, 2, 5)
-    const gapBetweenImages = -18;
-    
-    // Position backSide so its top content edge is at the top (Y=0)
-    const backTop = 0 - backBounds.top;
-    
-    // Position frontSide relative to backSide's bottom content edge
-    // backSide's bottom content pixel is at: backTop + backBounds.bottom
-    const backBottomContentY = backTop + backBounds.bottom;
-    const frontTop = backBottomContentY + gapBetweenImages - frontBounds.top;
-    
-    // Calculate total canvas height based on actual content positioning
-    const frontBottomContentY = frontTop + frontBounds.bottom;
-    const totalHeight = frontBottomContentY + 1;
-    
-    console.log(`Positioning: gapBetweenImages=${gapBetweenImages}, backTop=${backTop}, frontTop=${frontTop}, totalHeight=${totalHeight}`);
-    
-    const compositeLayers = [
-      { input: backSide, top: backTop, left: 0 },
-      { input: frontSide, top: frontTop, left: 0 }
-    ];
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, data);
 
-    // Add collar if available
-    if (collarBuffer) {
-      // Recalculate collar position with actual total height
-      collarTop = Math.floor((totalHeight - collarHeight) / 2);
-      compositeLayers.push({
-        input: collarBuffer,
-        top: collarTop,
-        left: collarLeft
-      });
+  // Report the detected gap so it can be reused or adjusted
+  const detected = options.gap === 'auto' && info.gap !== null ? ` (auto gap: ${info.gap})` : '';
+  console.log(`  -> ${outputPath}${detected}`);
+}
+
+// Whether two paths name the same file or directory, following symbolic links where they exist
+function samePath(a, b) {
+  const resolve = target => (fs.existsSync(target) ? fs.realpathSync(target) : path.resolve(target));
+  return resolve(a) === resolve(b);
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!fs.existsSync(options.input)) {
+    throw new Error(`Input not found: ${options.input}`);
+  }
+
+  const extension = OUTPUT_FORMATS[options.encoding.format].extension;
+
+  // Single file mode
+  if (!fs.statSync(options.input).isDirectory()) {
+    const { dir, name } = path.parse(options.input);
+    const output = options.output || path.join(dir, `${name}_template.${extension}`);
+    if (samePath(output, options.input)) {
+      throw new Error('--output must not be the input image, which would be overwritten');
     }
+    await processFile(options.input, output, options);
+    return;
+  }
 
-    await sharp({
-      create: {
-        width: width,
-        height: totalHeight,
-        channels: 4,
-        background: { r: 0, g: 0, b: 0, alpha: 0 }
-      }
-    })
-    .composite(compositeLayers)
-    .png()
-    .toFile(output);
+  // Directory mode: process every image in the folder
+  if (options.back) {
+    throw new Error('--back can only be used with a single input image');
+  }
 
-    console.log('Success! Jersey template created with transparent background:', output);
-    console.log(`Final dimensions: ${width}x${totalHeight}`);
-    if (collarBuffer) {
-      console.log('Collar added successfully!');
+  const outputDir = options.output || path.join(options.input, 'templates');
+  // Templates are named after their inputs, so in the input folder they could replace them
+  if (samePath(outputDir, options.input)) {
+    throw new Error('--output must not be the input folder, whose images would be overwritten');
+  }
+  const inputs = fs.readdirSync(options.input)
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  if (inputs.length === 0) {
+    throw new Error(`No images found in ${options.input}`);
+  }
+
+  let failures = 0;
+  for (const file of inputs) {
+    const output = path.join(outputDir, `${path.parse(file).name}.${extension}`);
+    try {
+      await processFile(path.join(options.input, file), output, options);
+    } catch (error) {
+      failures++;
+      console.error(`  !! ${file}: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Error processing image:', error.message);
-    console.error(error.stack);
-    process.exit(1);
+  }
+
+  console.log(`\nProcessed ${inputs.length - failures} of ${inputs.length} images into ${outputDir}`);
+  if (failures > 0) {
+    process.exitCode = 1;
   }
 }
 
-createTightJerseyTemplate();
+main().catch(error => {
+  console.error('Error:', error.message);
+  console.error('Run with --help for usage.');
+  process.exit(1);
+});
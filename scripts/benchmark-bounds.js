@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Benchmark the trim and content-bounds stage on large synthetic jersey images.
+// Compares the previous implementation (sharp trim plus a custom trim fallback, then a
+// separate decode and four column/row loops per panel) with trimJerseyImage, which decodes
+// once and derives the mirrored back's bounds from the front's.
+//
+// Usage: node scripts/benchmark-bounds.js [--sizes 1500x2000,3000x4000] [--runs 3]
+
+const { parseArgs } = require('util');
+const sharp = require('sharp');
+const { trimJerseyImage } = require('../lib/jersey-processor');
+
+const DEFAULT_SIZES = '1500x2000,3000x4000,4500x6000';
+
+// Previous implementation, kept here as the baseline
+
+async function legacyGetContentBounds(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer).raw().ensureAlpha().toBuffer({ resolveWithObject: true });
+  const channels = info.channels;
+  const alphaThreshold = 1;
+  let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
+
+  for (let y = 0; y < info.height && minY === info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * channels + 3] > alphaThreshold) {
+        minY = y;
+        break;
+      }
+    }
+  }
+  for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * channels + 3] > alphaThreshold) {
+        maxY = y;
+        break;
+      }
+    }
+  }
+  for (let x = 0; x < info.width && minX === info.width; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      if (data[(y * info.width + x) * channels + 3] > alphaThreshold) {
+        minX = x;
+        break;
+      }
+    }
+  }
+  for (let x = info.width - 1; x >= 0 && maxX === 0; x--) {
+    for (let y = minY; y <= maxY; y++) {
+      if (data[(y * info.width + x) * channels + 3] > alphaThreshold) {
+        maxX = x;
+        break;
+      }
+    }
+  }
+
+  return { top: minY, bottom: maxY, left: minX, right: maxX, height: maxY - minY + 1, width: maxX - minX + 1 };
+}
+
+async function legacyTrim(input) {
+  const inputImage = sharp(input).ensureAlpha();
+  const originalMeta = await inputImage.metadata();
+  let trimmedBuffer = await inputImage.trim({ threshold: 0 }).toBuffer();
+  const { width, height } = await sharp(trimmedBuffer).metadata();
+
+  if (originalMeta.width === width && originalMeta.height === height) {
+    const { data, info } = await inputImage.raw().ensureAlpha().toBuffer({ resolveWithObject: true });
+    const alphaAt = (x, y) => data[(y * info.width + x) * 4 + 3];
+    const alphaThreshold = 5;
+    let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
+
+    for (let y = 0; y < info.height && minY === info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        if (alphaAt(x, y) > alphaThreshold) {
+          minY = y;
+          break;
+        }
+      }
+    }
+    for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
+      for (let x = 0; x < info.width; x++) {
+        if (alphaAt(x, y) > alphaThreshold) {
+          maxY = y;
+          break;
+        }
+      }
+    }
+    for (let x = 0; x < info.width && minX === info.width; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        if (alphaAt(x, y) > alphaThreshold) {
+          minX = x;
+          break;
+        }
+      }
+    }
+    for (let x = info.width - 1; x >= 0 && maxX === 0; x--) {
+      for (let y = minY; y <= maxY; y++) {
+        if (alphaAt(x, y) > alphaThreshold) {
+          maxX = x;
+          break;
+        }
+      }
+    }
+
+    trimmedBuffer = await inputImage
+      .extract({ left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 })
+      .toBuffer();
+  }
+
+  return trimmedBuffer;
+}
+
+async function legacyStage(input) {
+  const front = await legacyTrim(input);
+  const back = await sharp(front).flop().png().toBuffer();
+  await legacyGetContentBounds(back);
+  return legacyGetContentBounds(front);
+}
+
+async function currentStage(input) {
+  const front = await trimJerseyImage(input);
+  await sharp(front.buffer).flop().png().toBuffer();
+  return front.bounds;
+}
+
+// A jersey silhouette on a transparent canvas with a 10% margin. With `noise`, the margin
+// gets faint alpha speckle, as left behind by some editors, which sharp's trim cannot remove.
+async function syntheticJersey(width, height, noise) {
+  const m = (fraction, size) => Math.round(fraction * size);
+  const path = [
+    [0.38, 0.1], [0.5, 0.16], [0.62, 0.1], [0.8, 0.14], [0.9, 0.32], [0.78, 0.38],
+    [0.76, 0.9], [0.24, 0.9], [0.22, 0.38], [0.1, 0.32], [0.2, 0.14]
+  ].map(([x, y]) => `${m(x, width)},${m(y, height)}`).join(' ');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<polygon points="${path}" fill="#c0102a"/></svg>`;
+
+  const { data, info } = await sharp(Buffer.from(svg)).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  if (noise) {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] === 0 && Math.random() < 0.01) {
+        data[i] = 3;
+      }
+    }
+  }
+  return sharp(data, { raw: info }).png({ compressionLevel: 1 }).toBuffer();
+}
+
+async function time(stage, input, runs) {
+  const timings = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    result = await stage(input);
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  timings.sort((a, b) => a - b);
+  return { ms: timings[Math.floor(timings.length / 2)], result };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      sizes: { type: 'string', default: DEFAULT_SIZES },
+      runs: { type: 'string', default: '3' }
+    }
+  });
+  const runs = Math.max(1, parseInt(values.runs) || 1);
+  const sizes = values.sizes.split(',').map(size => {
+    const [width, height] = size.split('x').map(Number);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw new Error(`Invalid size: ${size}. Use WIDTHxHEIGHT`);
+    }
+    return { width, height };
+  });
+
+  console.log(`Median of ${runs} run(s) per case\n`);
+  console.log(`${'image'.padEnd(16)} ${'previous'.padStart(10)} ${'current'.padStart(10)} ${'speed-up'.padStart(9)}   content size`);
+
+  for (const { width, height } of sizes) {
+    for (const noise of [false, true]) {
+      const input = await syntheticJersey(width, height, noise);
+      const previous = await time(legacyStage, input, runs);
+      const current = await time(currentStage, input, runs);
+
+      const label = `${width}x${height}${noise ? ' noisy' : ''}`.padEnd(16);
+      console.log(
+        `${label} ${previous.ms.toFixed(0).padStart(8)}ms ${current.ms.toFixed(0).padStart(8)}ms ` +
+        `${(previous.ms / current.ms).toFixed(1).padStart(8)}x   ` +
+        `${previous.result.width}x${previous.result.height} / ${current.result.width}x${current.result.height}`
+      );
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
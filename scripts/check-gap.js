@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Checks for the gap parameter: the default, `auto`, and the accepted range.
+//
+// Usage: node scripts/check-gap.js
+
+const assert = require('assert');
+const { parseGap } = require('../lib/jersey-processor');
+
+// Omitted gaps fall back to the default overlap
+assert.strictEqual(parseGap(undefined), -18);
+assert.strictEqual(parseGap(null), -18);
+assert.strictEqual(parseGap(''), -18);
+
+assert.strictEqual(parseGap('auto'), 'auto');
+assert.strictEqual(parseGap('AUTO'), 'auto');
+
+// Numbers are accepted as well as the strings form fields arrive as
+assert.strictEqual(parseGap('0'), 0);
+assert.strictEqual(parseGap('-25'), -25);
+assert.strictEqual(parseGap(40), 40);
+assert.strictEqual(parseGap('1000'), 1000);
+assert.strictEqual(parseGap('-1000'), -1000);
+
+for (const value of ['1001', '-1001', '2.5', 'abc', 'Infinity']) {
+  assert.throws(() => parseGap(value), /gap must be a whole number of pixels between -1000 and 1000, or auto/, value);
+}
+
+console.log('gap: ok');
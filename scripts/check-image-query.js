@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Checks for the image history query: parsing the GET /api/images parameters, and the
+// filtering, sorting and paging of metadata records.
+//
+// Usage: node scripts/check-image-query.js
+
+const assert = require('assert');
+const { parseImageQuery, queryImages } = require('../lib/image-query');
+
+assert.deepStrictEqual(parseImageQuery(), {
+  page: 1,
+  limit: 20,
+  sort: 'newest',
+  layout: null,
+  collarId: null,
+  format: null,
+  filename: null,
+  from: null,
+  to: null
+});
+
+const query = parseImageQuery({
+  page: '2',
+  limit: '100',
+  sort: 'oldest',
+  layout: 'classic',
+  collarId: 'default',
+  format: 'png',
+  filename: 'Home.PNG',
+  from: '2024-01-01',
+  to: '2024-01-31T23:59:59Z'
+});
+assert.strictEqual(query.page, 2);
+assert.strictEqual(query.limit, 100);
+assert.strictEqual(query.sort, 'oldest');
+assert.strictEqual(query.filename, 'home.png');
+assert.strictEqual(query.from, Date.UTC(2024, 0, 1));
+assert.strictEqual(query.to, Date.UTC(2024, 0, 31, 23, 59, 59));
+
+assert.throws(() => parseImageQuery({ page: '0' }), /page must be a whole number of at least 1/);
+assert.throws(() => parseImageQuery({ limit: '2.5' }), /limit must be a whole number/);
+assert.throws(() => parseImageQuery({ limit: '101' }), /limit must be at most 100/);
+assert.throws(() => parseImageQuery({ sort: 'largest' }), /sort must be one of: newest, oldest/);
+assert.throws(() => parseImageQuery({ from: 'yesterday' }), /from must be an ISO 8601 date or time/);
+
+const records = [
+  { imageId: 'a', createdAt: '2024-01-01T10:00:00Z', layout: 'classic', format: 'png', collarId: 'default', inputs: { front: { filename: 'home.png' } } },
+  { imageId: 'b', createdAt: '2024-01-02T10:00:00Z', layout: 'landscape', format: 'png', collarId: null, inputs: { front: { filename: 'away.png' } } },
+  { imageId: 'c', createdAt: '2024-01-03T10:00:00Z', layout: 'classic', format: 'webp', collarId: 'default', inputs: { front: { filename: 'Home-2.png' } } }
+];
+const ids = result => result.images.map(record => record.imageId);
+
+assert.deepStrictEqual(ids(queryImages(records, parseImageQuery())), ['c', 'b', 'a']);
+assert.deepStrictEqual(ids(queryImages(records, parseImageQuery({ sort: 'oldest' }))), ['a', 'b', 'c']);
+assert.deepStrictEqual(ids(queryImages(records, parseImageQuery({ layout: 'classic' }))), ['c', 'a']);
+assert.deepStrictEqual(ids(queryImages(records, parseImageQuery({ filename: 'HOME' }))), ['c', 'a']);
+assert.deepStrictEqual(ids(queryImages(records, parseImageQuery({ from: '2024-01-02', to: '2024-01-02T23:59:59Z' }))), ['b']);
+
+const page = queryImages(records, parseImageQuery({ limit: '2', page: '2' }));
+assert.deepStrictEqual(ids(page), ['a']);
+assert.deepStrictEqual({ page: page.page, limit: page.limit, total: page.total, totalPages: page.totalPages }, { page: 2, limit: 2, total: 3, totalPages: 2 });
+
+console.log('image query: ok');
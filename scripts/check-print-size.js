@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Checks for the print-size maths: parsing the print parameters, and where a template
+// lands in the print file at a physical size and DPI.
+//
+// Usage: node scripts/check-print-size.js
+
+const assert = require('assert');
+const { parsePrintOptions, getPrintTransform } = require('../lib/print-export');
+
+// Print mode is off without a width or height
+assert.strictEqual(parsePrintOptions({}), null);
+assert.strictEqual(parsePrintOptions({ dpi: '300' }), null);
+
+// Defaults: centimetres, 300 DPI, no bleed or crop marks, sRGB
+assert.deepStrictEqual(parsePrintOptions({ printWidth: '50' }), {
+  unit: 'cm',
+  dpi: 300,
+  bleed: 0,
+  cropMarks: false,
+  iccProfile: 'srgb',
+  width: 50
+});
+
+const print = parsePrintOptions({ printWidth: '10', printHeight: '20', printUnit: 'IN', dpi: '150', bleed: '0.5', cropMarks: 'true' });
+assert.deepStrictEqual(print, { unit: 'in', dpi: 150, bleed: 0.5, cropMarks: true, iccProfile: 'srgb', width: 10, height: 20 });
+
+assert.throws(() => parsePrintOptions({ printWidth: '0' }), /printWidth must be a positive number/);
+assert.throws(() => parsePrintOptions({ printWidth: '10', printUnit: 'ft' }), /Unsupported print unit/);
+assert.throws(() => parsePrintOptions({ printWidth: '10', dpi: '71' }), /DPI must be an integer/);
+assert.throws(() => parsePrintOptions({ printWidth: '10', dpi: '300.5' }), /DPI must be an integer/);
+assert.throws(() => parsePrintOptions({ printWidth: '10', bleed: '-1' }), /Bleed must be zero or a positive number/);
+assert.throws(() => parsePrintOptions({ printWidth: '10', iccProfile: 'cmyk' }), /Unsupported ICC profile/);
+assert.throws(() => parsePrintOptions({ printWidth: '10' }, { format: 'webp' }), /Print mode requires/);
+// 200cm at 300 DPI is 23622px, past the 20000px limit
+assert.throws(() => parsePrintOptions({ printWidth: '200' }), /Print size is too large/);
+
+// 20000px is the limit: 66.66in at 300 DPI is 19998px, and 0.01in more of bleed each side passes it
+assert.strictEqual(parsePrintOptions({ printWidth: '66.66', printUnit: 'in' }).width, 66.66);
+assert.throws(() => parsePrintOptions({ printWidth: '66.66', printUnit: 'in', bleed: '0.01' }), /20004px exceeds 20000px at 300 DPI/);
+
+// Width only: 10in at 100 DPI is 1000px; the height follows the 400x800 template
+let transform = getPrintTransform(400, 800, { unit: 'in', dpi: 100, width: 10, bleed: 0, cropMarks: false });
+assert.deepStrictEqual(transform, {
+  scale: 2.5,
+  boxWidth: 1000,
+  boxHeight: 2000,
+  artworkWidth: 1000,
+  artworkHeight: 2000,
+  left: 0,
+  top: 0
+});
+
+// Both sides: the template is fitted inside the 10x10in box and centred across its width.
+// The 0.5in bleed adds 50px and the crop marks another 0.25in (25px) on every side.
+transform = getPrintTransform(400, 800, { unit: 'in', dpi: 100, width: 10, height: 10, bleed: 0.5, cropMarks: true });
+assert.deepStrictEqual(transform, {
+  scale: 1.25,
+  boxWidth: 1000,
+  boxHeight: 1000,
+  artworkWidth: 500,
+  artworkHeight: 1000,
+  left: 75 + 250,
+  top: 75
+});
+
+// Centimetres are converted through inches: 25.4cm at 300 DPI is 3000px
+transform = getPrintTransform(1000, 1000, { unit: 'cm', dpi: 300, width: 25.4, bleed: 0, cropMarks: false });
+assert.strictEqual(transform.boxWidth, 3000);
+assert.strictEqual(transform.scale, 3);
+
+console.log('print size: ok');
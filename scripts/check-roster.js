@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Checks for roster CSV parsing: header detection, quoted fields, and the row numbers
+// reported for each player, which are the player's line in the file.
+//
+// Usage: node scripts/check-roster.js
+
+const assert = require('assert');
+const { parseRoster } = require('../lib/roster');
+
+// Without a header the first two columns are the name and number, from line 1
+assert.deepStrictEqual(parseRoster('Smith,10\nJones,7\n', 30), [
+  { row: 1, name: 'Smith', number: '10' },
+  { row: 2, name: 'Jones', number: '7' }
+]);
+
+// A header names the columns in any order; the first player is on line 2
+assert.deepStrictEqual(parseRoster('number,position,name\n10,GK,Smith\n', 30), [
+  { row: 2, name: 'Smith', number: '10' }
+]);
+
+// Blank lines are skipped but still counted, with Windows line endings and a BOM too
+assert.deepStrictEqual(parseRoster('\uFEFFname,number\r\n\r\nSmith,10\r\n\r\n\r\nJones,7', 30), [
+  { row: 3, name: 'Smith', number: '10' },
+  { row: 6, name: 'Jones', number: '7' }
+]);
+
+// A quoted field can hold commas, quotes and line breaks; the next row's number counts
+// the lines inside it
+assert.deepStrictEqual(parseRoster('name,number\n"Smith, ""Jr""\nthe second",10\nJones,7\n', 30), [
+  { row: 2, name: 'Smith, "Jr"\nthe second', number: '10' },
+  { row: 4, name: 'Jones', number: '7' }
+]);
+
+// A missing column leaves that value empty, for parsePlayer to accept or reject
+assert.deepStrictEqual(parseRoster('name\nSmith\n', 30), [{ row: 2, name: 'Smith', number: '' }]);
+
+assert.throws(() => parseRoster('', 30), /Roster is empty/);
+assert.throws(() => parseRoster('\n \n', 30), /Roster is empty/);
+assert.throws(() => parseRoster('name,number\n', 30), /Roster has no players/);
+assert.throws(() => parseRoster('A,1\nB,2\nC,3\n', 2), /more than 2 players/);
+
+console.log('roster: ok');
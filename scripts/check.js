@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Run the parameter checks: every scripts/check-*.js, each a plain Node script that asserts
+// what a parser accepts, returns and rejects. Exits non-zero when any of them fails.
+//
+// Usage: node scripts/check.js
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const checks = fs.readdirSync(__dirname)
+  .filter(file => /^check-.+\.js$/.test(file))
+  .sort();
+
+let failed = 0;
+for (const file of checks) {
+  const { status } = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  if (status !== 0) {
+    console.error(`FAILED: ${file}`);
+    failed++;
+  }
+}
+
+console.log(`\n${checks.length - failed} of ${checks.length} check script(s) passed`);
+process.exit(failed > 0 ? 1 : 0);
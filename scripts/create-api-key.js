@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Create an API key and add it to the key file read by the server. The key is printed
+// once; only its SHA-256 is stored.
+//
+// Usage: node scripts/create-api-key.js --id storefront [--name "Storefront"]
+//          [--rate 60/60] [--daily 1000] [--origins https://shop.example.com,...] [--admin]
+//          [--file data/api-keys.json]
+
+const { parseArgs } = require('util');
+const path = require('path');
+const fs = require('fs');
+const { hashKey, generateKey } = require('../lib/api-keys');
+
+const DEFAULT_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      rate: { type: 'string' },
+      daily: { type: 'string' },
+      origins: { type: 'string' },
+      admin: { type: 'boolean', default: false },
+      file: { type: 'string', default: DEFAULT_FILE }
+    }
+  });
+
+  if (!values.id || !/^[A-Za-z0-9_-]+$/.test(values.id)) {
+    throw new Error('--id is required and may only contain letters, digits, - and _');
+  }
+
+  const keys = fs.existsSync(values.file) ? JSON.parse(fs.readFileSync(values.file, 'utf8')) : [];
+  if (keys.some(key => key.id === values.id)) {
+    throw new Error(`A key with id ${values.id} already exists in ${values.file}`);
+  }
+
+  const secret = generateKey();
+  const key = { id: values.id, name: values.name || values.id, keySha256: hashKey(secret) };
+
+  if (values.rate) {
+    const [requests, perSeconds] = values.rate.split('/');
+    key.rateLimit = {
+      requests: parsePositiveInteger(requests, '--rate requests'),
+      perSeconds: parsePositiveInteger(perSeconds, '--rate seconds')
+    };
+  }
+  if (values.daily) {
+    key.dailyImages = parsePositiveInteger(values.daily, '--daily');
+  }
+  key.allowedOrigins = values.origins ? values.origins.split(',').map(origin => origin.trim()).filter(Boolean) : [];
+  key.admin = values.admin;
+
+  fs.mkdirSync(path.dirname(values.file), { recursive: true });
+  fs.writeFileSync(values.file, JSON.stringify([...keys, key], null, 2));
+
+  console.log(`Created key ${key.id} in ${values.file}`);
+  console.log(`API key (shown only once): ${secret}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
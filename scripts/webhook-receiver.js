@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Local receiver for trying out callbackUrl webhooks. Prints every delivery with whether its
+// signature matches WEBHOOK_SECRET, and can fail the first deliveries to exercise retries.
+//
+// Usage: WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js [--port 4000] [--fail 2]
+//   then send callbackUrl=http://localhost:4000/ with a processing request
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('../lib/webhooks');
+
+// Receivers should refuse old timestamps, so a captured delivery cannot be replayed later
+const MAX_AGE_SECONDS = 5 * 60;
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4000' },
+      fail: { type: 'string', default: '0' }
+    }
+  });
+
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('Set WEBHOOK_SECRET to the secret the server signs with');
+  }
+
+  let failuresLeft = Number(values.fail);
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const timestamp = req.headers['x-webhook-timestamp'];
+      const signed = verifySignature(secret, timestamp, body, req.headers['x-webhook-signature']);
+      const fresh = Math.abs(Date.now() / 1000 - Number(timestamp)) <= MAX_AGE_SECONDS;
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        payload = body;
+      }
+
+      const status = !signed || !fresh ? 401 : failuresLeft > 0 ? 500 : 200;
+      if (status === 500) {
+        failuresLeft--;
+      }
+
+      console.log(JSON.stringify({
+        deliveryId: req.headers['x-webhook-id'],
+        signatureValid: signed,
+        timestampFresh: fresh,
+        answered: status,
+        payload
+      }, null, 2));
+      res.writeHead(status).end();
+    });
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log(`Webhook receiver listening on http://localhost:${values.port}/`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
@@ -1,22 +1,238 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
 const { v4: uuidv4 } = require('uuid');
+const JobQueue = require('./lib/job-queue');
+const CollarLibrary = require('./lib/collar-library');
+const ResultCache = require('./lib/result-cache');
+const { RetentionManager, isValidImageId } = require('./lib/retention');
+const { createStorage } = require('./lib/storage');
+const { parseImageQuery, queryImages } = require('./lib/image-query');
+const { VARIANT_PREFIX, PRESETS, parseVariantOptions, variantKey, renderVariant } = require('./lib/image-variants');
+const { ApiKeys } = require('./lib/api-keys');
+const { ApiError, errorBody } = require('./lib/errors');
+const Logger = require('./lib/logger');
+const Metrics = require('./lib/metrics');
+const { WebhookDispatcher, parseCallbackUrl, parseAllowedHosts } = require('./lib/webhooks');
+const {
+  DEFAULT_IMAGE_LIMITS,
+  validateImage,
+  validateArchive,
+  validateText,
+  sanitizeFilename
+} = require('./lib/upload-validation');
+const {
+  OUTPUT_FORMATS,
+  parseGap,
+  parseCollarPlacement,
+  parseOutputOptions,
+  trimJerseyImage,
+  processJerseyImage
+} = require('./lib/jersey-processor');
+const { parsePrintOptions, getPrintInfo } = require('./lib/print-export');
+const { DEFAULT_LAYOUT, getLayout, getLayouts, describeLayout } = require('./lib/layouts');
+const { parsePersonalisation, parsePlayer, parseTextStyle } = require('./lib/personalisation');
+const { parseRoster } = require('./lib/roster');
+const { parseBackgroundRemoval } = require('./lib/background-removal');
+const { parseColourways, extractPalette, resolveColourMapping } = require('./lib/colourways');
+const {
+  CUT_LINE_PREFIX,
+  CUT_LINE_FORMATS,
+  parseCutLineOptions,
+  cutLineKey,
+  renderCutLineSvg,
+  renderCutLinePdf
+} = require('./lib/cut-lines');
+const { PROOF_PREFIX, PROOF_FORMAT, parseProofOptions, proofKey, renderProof } = require('./lib/proofs');
+const { ReleaseTokens, parseReleaseOptions } = require('./lib/release-tokens');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 50;
+const ROSTER_MAX_ROWS = parseInt(process.env.ROSTER_MAX_ROWS) || 100;
+const OUTPUT_RETENTION_HOURS = parseFloat(process.env.OUTPUT_RETENTION_HOURS ?? 168) || 0;
+const UPLOAD_MAX_AGE_MINUTES = parseFloat(process.env.UPLOAD_MAX_AGE_MINUTES) || 60;
+const STORAGE_QUOTA_MB = parseFloat(process.env.STORAGE_QUOTA_MB) || 0;
+const SWEEP_INTERVAL_MINUTES = parseFloat(process.env.SWEEP_INTERVAL_MINUTES) || 10;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const VARIANT_MAX_SIZE = parseInt(process.env.VARIANT_MAX_SIZE) || 2048;
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+const BATCH_UPLOAD_MAX_BYTES = 50 * 1024 * 1024; // leaves room for ZIP archives
+const IMAGE_LIMITS = {
+  maxPixels: parseInt(process.env.MAX_IMAGE_PIXELS) || DEFAULT_IMAGE_LIMITS.maxPixels,
+  maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || DEFAULT_IMAGE_LIMITS.maxDimension
+};
 
 // Create necessary directories
 const uploadsDir = path.join(__dirname, 'uploads');
 const outputsDir = path.join(__dirname, 'outputs');
 const publicDir = path.join(__dirname, 'public');
+const dataDir = path.join(__dirname, 'data');
+
+// JSON logs; request handlers log through req.log, which adds the request ID
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+// API keys, their limits and usage; authentication is off until the key file defines a key
+const apiKeys = new ApiKeys({
+  file: process.env.API_KEYS_FILE || path.join(dataDir, 'api-keys.json'),
+  usageFile: path.join(dataDir, 'api-usage.json')
+});
+
+// Image downloads stay public like downloadUrl, since image IDs cannot be guessed, and master
+// downloads are authorised by their release token; every other /api route needs a key once
+// keys are configured
+function requiresApiKey(req) {
+  if (!req.path.startsWith('/api/')) {
+    return false;
+  }
+  return !(['GET', 'HEAD'].includes(req.method) && /^\/api\/image\/[^/]+(\/master)?$/.test(req.path));
+}
+
+// Send an error response with the body described in lib/errors.js. Errors that are not an
+// ApiError are sent with the given status and code and their own message, as the parameter
+// parsers throw plain Errors whose message is meant for the client.
+function sendError(res, error, status = 500, code = 'internal_error') {
+  const apiError = error instanceof ApiError ? error : new ApiError(status, code, error.message);
+  if (apiError.details && apiError.details.retryAfter) {
+    res.set('Retry-After', String(apiError.details.retryAfter));
+  }
+  res.status(apiError.status).json(errorBody(apiError));
+}
+
+// Middleware
+// Request IDs: a usable X-Request-Id from the caller or a proxy is kept, otherwise one is
+// generated. It is echoed in the response and added to every log entry for the request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Release tokens travel in the query string; keep them out of the logs
+function loggedPath(req) {
+  return req.originalUrl.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
+}
+
+// Route pattern for metrics and logs, so image and job IDs do not each become a label value
+function routeLabel(req) {
+  if (req.route) {
+    return req.baseUrl + req.route.path;
+  }
+  return req.originalUrl.startsWith('/outputs/') ? '/outputs' : 'unmatched';
+}
+
+app.use((req, res, next) => {
+  const requestId = REQUEST_ID_PATTERN.test(req.header('X-Request-Id') || '') ? req.header('X-Request-Id') : uuidv4();
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set('X-Request-Id', requestId);
+  
+  const startedAt = performance.now();
+  res.on('finish', () => {
+    const durationMs = Math.round((performance.now() - startedAt) * 10) / 10;
+    const route = routeLabel(req);
+    metrics.observeRequest({ method: req.method, route, status: res.statusCode, seconds: durationMs / 1000 });
+    
+    // Health checks and scrapes arrive every few seconds; keep them out of the info log
+    const level = ['/health', '/metrics'].includes(route) ? 'debug' : 'info';
+    req.log.log(level, 'Request completed', {
+      method: req.method,
+      path: loggedPath(req),
+      route,
+      status: res.statusCode,
+      durationMs,
+      apiKey: req.apiKey ? req.apiKey.id : undefined
+    });
+  });
+  next();
+});
+
+// CORS: public routes allow any origin. Keyed routes allow the origins of any key, as
+// preflight requests carry no key; authenticateApiKey then checks the request's own key.
+app.use(cors((req, callback) => {
+  const origin = req.header('Origin');
+  callback(null, {
+    origin: !apiKeys.enabled || !requiresApiKey(req) || !origin || apiKeys.anyAllowsOrigin(origin)
+  });
+}));
+app.use(express.json());
+
+// Check the API key (X-API-Key header or Authorization: Bearer), its allowed origins and its
+// request rate, and set req.apiKey. Sends the error and returns false when the check fails.
+function checkApiKey(req, res) {
+  const authorization = req.header('Authorization') || '';
+  const secret = req.header('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
+  if (!secret) {
+    sendError(res, new ApiError(401, 'api_key_required', 'API key required'));
+    return false;
+  }
+  
+  const key = apiKeys.authenticate(secret);
+  if (!key) {
+    sendError(res, new ApiError(401, 'invalid_api_key', 'Invalid API key'));
+    return false;
+  }
+  
+  const origin = req.header('Origin');
+  if (origin && !apiKeys.allowsOrigin(key, origin)) {
+    sendError(res, new ApiError(403, 'origin_not_allowed', 'Origin not allowed for this API key'));
+    return false;
+  }
+  
+  const retryAfter = apiKeys.takeRequest(key);
+  if (retryAfter) {
+    sendError(res, new ApiError(429, 'rate_limited', 'Rate limit exceeded', { retryAfter }));
+    return false;
+  }
+  
+  apiKeys.record(key, { requests: 1 });
+  req.apiKey = key;
+  return true;
+}
+
+// Keyed routes need a key; the public image routes check one themselves where they need it
+function authenticateApiKey(req, res, next) {
+  if (req.method === 'OPTIONS' || !requiresApiKey(req) || !apiKeys.enabled || checkApiKey(req, res)) {
+    next();
+  }
+}
+
+app.use(authenticateApiKey);
+
+// Reserve `count` images of the caller's daily volume before processing them. Sends 429
+// and returns false when the key has too few left. Settle with finishImageUsage.
+function reserveImages(req, res, count) {
+  if (!req.apiKey) {
+    return true;
+  }
+  
+  const retryAfter = apiKeys.reserveImages(req.apiKey, count);
+  if (retryAfter) {
+    sendError(res, new ApiError(429, 'daily_limit_reached', 'Daily image limit reached', { retryAfter }));
+    return false;
+  }
+  return true;
+}
+
+// Release a reservation and record what was delivered: `images` and their total `bytesOut`,
+// plus the bytes uploaded with the request
+function finishImageUsage(req, reserved, { images = 0, bytesOut = 0 } = {}) {
+  if (!req.apiKey) {
+    return;
+  }
+  
+  const files = Object.values(req.files || {}).flat();
+  if (req.file) {
+    files.push(req.file);
+  }
+  apiKeys.releaseImages(req.apiKey, reserved);
+  apiKeys.record(req.apiKey, {
+    images,
+    bytesIn: files.reduce((sum, file) => sum + file.size, 0),
+    bytesOut
+  });
+}
 
 [uploadsDir, outputsDir, publicDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
@@ -24,8 +240,202 @@ const publicDir = path.join(__dirname, 'public');
   }
 });
 
-// Serve static files from outputs directory
-app.use('/outputs', express.static(outputsDir));
+// Caps how many images are processed at the same time, for both sync and async requests
+const jobQueue = new JobQueue({ concurrency: JOB_CONCURRENCY });
+
+// Prometheus metrics, served at /metrics
+const metrics = new Metrics({ jobQueue });
+
+// Collar overlays: uploaded collars plus the built-in assets/Jersey-Collar.png
+const collarLibrary = new CollarLibrary({
+  directory: path.join(__dirname, 'assets', 'collars'),
+  defaultCollarPath: path.join(__dirname, 'assets', 'Jersey-Collar.png')
+});
+
+// Where processed images are kept: outputs/ on local disk by default, or an S3-compatible bucket
+const outputStorage = createStorage(STORAGE_DRIVER, STORAGE_DRIVER === 's3' ? {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION,
+  endpoint: process.env.S3_ENDPOINT,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined ? undefined : process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  prefix: process.env.S3_PREFIX,
+  urlExpiresIn: parseInt(process.env.S3_URL_EXPIRES) || undefined,
+  publicUrl: process.env.S3_PUBLIC_URL
+} : {
+  directory: outputsDir,
+  urlPath: '/outputs'
+});
+
+// callbackUrl deliveries, signed with WEBHOOK_SECRET and retried with exponential backoff;
+// only public addresses are called, apart from the hosts in WEBHOOK_ALLOWED_HOSTS
+const webhooks = new WebhookDispatcher({
+  directory: path.join(dataDir, 'webhooks'),
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: (parseFloat(process.env.WEBHOOK_RETRY_SECONDS) || 10) * 1000,
+  timeoutMs: (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+  allowedHosts: parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS),
+  logger
+});
+
+// Processed results, keyed by a hash of the inputs and parameters, so repeats skip the pipeline
+const resultCache = new ResultCache({ directory: path.join(dataDir, 'results') });
+
+// Tokens that release the full-resolution masters of proofed images
+const releaseTokens = new ReleaseTokens({ file: path.join(dataDir, 'release-tokens.json') });
+
+// Expires old outputs and orphaned uploads, and keeps stored images within the quota.
+// An image's cache record goes with it, so the next identical request is processed again,
+// and so do its release tokens.
+const retention = new RetentionManager({
+  storage: outputStorage,
+  uploadsDir,
+  extensions: Object.values(OUTPUT_FORMATS).map(format => format.extension),
+  derivedPrefixes: [VARIANT_PREFIX, CUT_LINE_PREFIX, PROOF_PREFIX],
+  retentionMs: OUTPUT_RETENTION_HOURS * 60 * 60 * 1000,
+  uploadMaxAgeMs: UPLOAD_MAX_AGE_MINUTES * 60 * 1000,
+  quotaBytes: Math.round(STORAGE_QUOTA_MB * 1024 * 1024),
+  intervalMs: SWEEP_INTERVAL_MINUTES * 60 * 1000,
+  orphanMinAgeMs: SWEEP_INTERVAL_MINUTES * 60 * 1000,
+  uploadInUse: filePath => heldUploads.has(filePath),
+  onRemove: imageId => {
+    resultCache.delete(imageId);
+    releaseTokens.revoke(imageId);
+  },
+  logger
+});
+
+// Output files are named by their content-addressed key and never rewritten, so clients may
+// keep them indefinitely and revalidate with the key as a strong ETag
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Content type for a stored output file, by its extension
+function outputContentType(filename) {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  const format = Object.values(OUTPUT_FORMATS).find(entry => entry.extension === extension);
+  return format ? format.contentType : null;
+}
+
+// Storage key of a processed image saved in the given output format
+function outputKey(imageId, format) {
+  return `${imageId}.${OUTPUT_FORMATS[format].extension}`;
+}
+
+// Find a processed image by ID, whatever format it was saved in. Resolves with its ID,
+// storage key, format, content type, size and modification time, or null.
+async function findOutputFile(imageId) {
+  if (!isValidImageId(imageId)) {
+    return null;
+  }
+  
+  for (const format of Object.keys(OUTPUT_FORMATS)) {
+    const key = outputKey(imageId, format);
+    const stat = await outputStorage.stat(key);
+    if (stat) {
+      return { imageId, key, format, contentType: OUTPUT_FORMATS[format].contentType, ...stat };
+    }
+  }
+  return null;
+}
+
+// Whether an image was processed as a proof, so its master is private. Its result record
+// says so once it is written; until then the proof itself does, as it is stored before the
+// master and the storage sweep leaves fresh files alone.
+async function isPrivateImage(imageId) {
+  const record = resultCache.get(imageId);
+  if (record) {
+    return Boolean(record.proof);
+  }
+  return Boolean(await outputStorage.stat(proofKey(imageId)));
+}
+
+// The publicly served file of a processed image, like findOutputFile: the image itself, or
+// the proof of a proofed image (null if the proof is gone)
+async function findPublicImage(imageId) {
+  const image = await findOutputFile(imageId);
+  if (!image || !await isPrivateImage(imageId)) {
+    return image;
+  }
+  
+  const key = proofKey(imageId);
+  const stat = await outputStorage.stat(key);
+  if (!stat) {
+    return null;
+  }
+  return { imageId, key, format: PROOF_FORMAT, contentType: OUTPUT_FORMATS[PROOF_FORMAT].contentType, ...stat };
+}
+
+// URL a stored image's fields (a record or result summary) are downloaded from: a proofed
+// image's proof, as its master is only released with a token, otherwise the image itself
+function downloadUrl(fields, baseUrl) {
+  const key = fields.proof ? proofKey(fields.imageId) : outputKey(fields.imageId, fields.format);
+  return outputStorage.url(key, { baseUrl });
+}
+
+// Caching headers for a stored file, by its storage key; send handles If-None-Match against
+// the ETag. A processed image is tagged with its ID, a derived file with its full key.
+function setImageCacheHeaders(res, key) {
+  const tag = key.includes('/') ? key : path.basename(key, path.extname(key));
+  res.set('ETag', `"${tag}"`);
+  res.set('Cache-Control', IMAGE_CACHE_CONTROL);
+}
+
+// Stored keys are all lower case, and every file name has a single extension
+const STORED_KEY_PATTERN = /^[a-z0-9/-]+\.[a-z0-9]+$/;
+
+if (outputStorage.directory) {
+  // Only exact keys of stored images and their derived files reach express.static, so a path
+  // in another case or with trailing dots cannot reach a file on a case-insensitive or
+  // Windows filesystem without the checks. Of a proofed image's files only the proof and the
+  // variants made from it are public; the master and the cut-line PDF, which holds the
+  // full-resolution template, are not.
+  app.use('/outputs', async (req, res, next) => {
+    let key;
+    try {
+      key = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+    } catch (error) {
+      key = null;
+    }
+    
+    try {
+      const imageId = key && STORED_KEY_PATTERN.test(key) ? retention.imageIdOf(key) : null;
+      const isPublic = key && (key.startsWith(PROOF_PREFIX) || key.startsWith(VARIANT_PREFIX));
+      if (!imageId || (!isPublic && await isPrivateImage(imageId))) {
+        return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  // Serve static files from outputs directory
+  app.use('/outputs', express.static(outputStorage.directory, {
+    setHeaders: (res, filePath) => {
+      const contentType = outputContentType(filePath);
+      if (contentType) {
+        res.type(contentType);
+      }
+      setImageCacheHeaders(res, path.relative(outputStorage.directory, filePath).split(path.sep).join('/'));
+    }
+  }));
+} else {
+  // Images live with a remote driver; send clients to its (possibly signed) URL
+  app.get('/outputs/:filename', async (req, res, next) => {
+    try {
+      const imageId = path.basename(req.params.filename, path.extname(req.params.filename));
+      const image = await findOutputFile(imageId);
+      if (!image || image.key !== req.params.filename || await isPrivateImage(imageId)) {
+        return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+      }
+      res.redirect(await outputStorage.url(image.key, { baseUrl: req.protocol + '://' + req.get('host') }));
+    } catch (error) {
+      next(error);
+    }
+  });
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -33,347 +443,1511 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${file.originalname}`;
+    const uniqueName = `${uuidv4()}-${sanitizeFilename(file.originalname)}`;
     cb(null, uniqueName);
   }
 });
 
+// Uploads are accepted by field here and checked by their contents in validateUploads
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+    fileSize: UPLOAD_MAX_BYTES
+  }
+});
+
+// Batch uploads accept many images, or a single ZIP archive in the `archive` field
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: BATCH_UPLOAD_MAX_BYTES,
+    files: BATCH_MAX_FILES
+  }
+}).fields([
+  { name: 'image', maxCount: BATCH_MAX_FILES },
+  { name: 'archive', maxCount: 1 }
+]);
+
+// Roster uploads: the jersey artwork fields plus a `roster` CSV of player names and numbers
+const rosterUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: UPLOAD_MAX_BYTES
+  }
+}).fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'front', maxCount: 1 },
+  { name: 'back', maxCount: 1 },
+  { name: 'leftSleeve', maxCount: 1 },
+  { name: 'rightSleeve', maxCount: 1 },
+  { name: 'roster', maxCount: 1 }
+]);
+
+// Check every uploaded file by its contents: `archive` must be a ZIP, `roster` a CSV, and
+// anything else a supported image within IMAGE_LIMITS. Uploads are removed when one fails.
+// Stored filenames are sanitised; the sanitised original name is kept as file.safeName.
+async function validateUploads(req, res, next) {
+  const files = uploadedFiles(req);
+  // Held while the request is open; routes that queue work hold them until it settles
+  holdUploads(req, new Promise(resolve => res.on('close', resolve)));
+  
+  try {
+    for (const file of files) {
+      metrics.observeUpload(file.fieldname, file.size);
+      file.safeName = sanitizeFilename(file.originalname);
+      try {
+        if (file.fieldname === 'archive') {
+          await validateArchive(file.path);
+        } else if (file.fieldname === 'roster') {
+          await validateText(file.path);
+        } else {
+          file.image = await validateImage(file.path, IMAGE_LIMITS);
+        }
+      } catch (error) {
+        if (error instanceof ApiError) {
+          throw new ApiError(error.status, error.code, `${file.fieldname} (${file.safeName}): ${error.message}`, {
+            ...error.details,
+            field: file.fieldname,
+            filename: file.safeName
+          });
+        }
+        throw error;
+      }
+    }
+    next();
+  } catch (error) {
+    cleanupUploads(req);
+    sendError(res, error);
+  }
+}
+
+// API Routes
+
+// Health check endpoint
+app.get('/health', async (req, res) => {
+  let usage;
+  try {
+    usage = await retention.usage();
+  } catch (error) {
+    req.log.error('Storage usage error', { error });
+    usage = { images: null, bytes: null, error: error.message };
+  }
+  
+  res.json({
+    status: 'ok',
+    message: 'Jersey Image Processing API is running',
+    queue: jobQueue.stats(),
+    storage: {
+      driver: outputStorage.name,
+      ...usage,
+      quotaBytes: retention.quotaBytes || null,
+      retentionHours: OUTPUT_RETENTION_HOURS || null,
+      uploads: retention.uploadUsage()
+    }
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.type(metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload fields: `image` (legacy single upload), or `front` with an optional `back`,
+// plus optional `leftSleeve` / `rightSleeve` artwork
+const jerseyUploadFields = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'front', maxCount: 1 },
+  { name: 'back', maxCount: 1 },
+  { name: 'leftSleeve', maxCount: 1 },
+  { name: 'rightSleeve', maxCount: 1 }
+]);
+
+// Remove a list of uploaded files, ignoring any that are already gone
+function removeFiles(filePaths) {
+  filePaths.forEach(filePath => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+// Every file multer stored for this request
+function uploadedFiles(req) {
+  const files = Object.values(req.files || {}).flat();
+  if (req.file) {
+    files.push(req.file);
+  }
+  return files;
+}
+
+// Remove every file multer stored for this request
+function cleanupUploads(req) {
+  removeFiles(uploadedFiles(req).map(file => file.path));
+}
+
+// Uploads still in use, with the number of requests and jobs holding each. The retention
+// sweep keeps them however old they are, as a job can wait in the queue for longer than
+// UPLOAD_MAX_AGE_MINUTES.
+const heldUploads = new Map();
+
+// Hold a request's uploads until `until` settles
+function holdUploads(req, until) {
+  const filePaths = uploadedFiles(req).map(file => file.path);
+  filePaths.forEach(filePath => heldUploads.set(filePath, (heldUploads.get(filePath) || 0) + 1));
+  
+  const release = () => filePaths.forEach(filePath => {
+    const holders = heldUploads.get(filePath) - 1;
+    if (holders > 0) {
+      heldUploads.set(filePath, holders);
+    } else {
+      heldUploads.delete(filePath);
+    }
+  });
+  until.then(release, release);
+}
+
+// Pick the collar for a request: a library ID, `none`, or the built-in default when omitted.
+// Throws when the ID is unknown or a placement parameter is invalid.
+function resolveCollar(body) {
+  const placement = parseCollarPlacement(body);
+  const collarId = body.collar || 'default';
+  
+  if (collarId === 'none') {
+    return { id: null, path: null, placement };
+  }
+  
+  const collarPath = collarLibrary.resolvePath(collarId);
+  if (!collarPath && body.collar) {
+    throw new Error(`Collar not found: ${collarId}`);
+  }
+  
+  return { id: collarPath ? collarId : null, path: collarPath, placement };
+}
+
+// Look up the layout preset for a request (classic when omitted); throws when it is unknown
+function resolveLayout(body) {
+  const layout = getLayout(body.layout || DEFAULT_LAYOUT);
+  if (!layout) {
+    throw new Error(`Unknown layout: ${body.layout}`);
+  }
+  return layout;
+}
+
+// How front and back panels of different widths are matched; scale when omitted
+function parseFit(fit) {
+  if (fit === undefined || fit === '') {
+    return 'scale';
+  }
+  if (fit !== 'scale' && fit !== 'center') {
+    throw new Error('fit must be scale or center');
+  }
+  return fit;
+}
+
+// Validate a request's callbackUrl; webhooks need a signing secret
+function resolveCallbackUrl(body) {
+  const callbackUrl = parseCallbackUrl(body.callbackUrl);
+  if (callbackUrl && !webhooks.enabled) {
+    throw new ApiError(400, 'webhooks_disabled', 'callbackUrl is not available: WEBHOOK_SECRET is not set on the server');
+  }
+  return callbackUrl;
+}
+
+// Proofs keep the master private, which storage with public URLs (S3_PUBLIC_URL) cannot do:
+// every stored object there is reachable by its key
+function resolveProof(body) {
+  const proof = parseProofOptions(body);
+  if (proof && outputStorage.publicUrl) {
+    throw new ApiError(400, 'proofs_unavailable', 'proof is not available: S3_PUBLIC_URL makes every stored image public');
+  }
+  return proof;
+}
+
+// Collect the processing input from an upload request, or null when no image was sent.
+// Throws when an output, layout, collar, personalisation, background removal, colourway,
+// cut line, proof or callback parameter is invalid.
+function getJerseyInput(req) {
+  const files = req.files || {};
+  const frontFile = (files.front || files.image || [])[0];
+  const backFile = (files.back || [])[0];
+  const leftSleeveFile = (files.leftSleeve || [])[0];
+  const rightSleeveFile = (files.rightSleeve || [])[0];
+  
+  if (!frontFile) {
+    return null;
+  }
+  
+  const output = parseOutputOptions(req.body);
+  const { callbackUrl, ...fields } = req.body;
+  
+  return {
+    inputPath: frontFile.path,
+    backPath: backFile ? backFile.path : null,
+    leftSleevePath: leftSleeveFile ? leftSleeveFile.path : null,
+    rightSleevePath: rightSleeveFile ? rightSleeveFile.path : null,
+    gap: parseGap(req.body.gap),
+    fit: parseFit(req.body.fit),
+    output,
+    print: parsePrintOptions(req.body, output),
+    collar: resolveCollar(req.body),
+    layout: resolveLayout(req.body),
+    personalisation: parsePersonalisation(req.body),
+    backgroundRemoval: parseBackgroundRemoval(req.body),
+    colourways: parseColourways(req.body),
+    cutLines: parseCutLineOptions(req.body),
+    proof: resolveProof(req.body),
+    callbackUrl: resolveCallbackUrl(req.body),
+    createdBy: req.apiKey ? req.apiKey.id : null,
+    filenames: {
+      front: frontFile.safeName,
+      back: backFile ? backFile.safeName : null,
+      leftSleeve: leftSleeveFile ? leftSleeveFile.safeName : null,
+      rightSleeve: rightSleeveFile ? rightSleeveFile.safeName : null
+    },
+    // The form fields as sent, recorded so the image can be requested again
+    fields,
+    uploadedFiles: Object.values(files).flat().map(file => file.path),
+    baseUrl: req.protocol + '://' + req.get('host'),
+    requestId: req.id,
+    log: req.log
+  };
+}
+
+// processJerseyImage options for an upload request's input
+function processingOptions(input) {
+  return {
+    backPath: input.backPath,
+    leftSleevePath: input.leftSleevePath,
+    rightSleevePath: input.rightSleevePath,
+    fit: input.fit,
+    output: input.output,
+    print: input.print,
+    collar: input.collar.placement,
+    layout: input.layout,
+    personalisation: input.personalisation,
+    backgroundRemoval: input.backgroundRemoval,
+    colourway: input.colourway,
+    cutLines: input.cutLines
+  };
+}
+
+// Cache key for an upload request: its files, the collar image and every processing parameter.
+// The input file digests are kept on `input` for the image's metadata.
+async function cacheKeyFor(input) {
+  input.digests = await resultCache.digests({
+    front: input.inputPath,
+    back: input.backPath,
+    leftSleeve: input.leftSleevePath,
+    rightSleeve: input.rightSleevePath,
+    collar: input.collar.path
+  });
+  
+  return resultCache.key(
+    input.digests,
+    {
+      gap: input.gap,
+      fit: input.fit,
+      output: input.output,
+      print: input.print,
+      collarId: input.collar.id,
+      collar: input.collar.placement,
+      layout: input.layout,
+      personalisation: input.personalisation,
+      backgroundRemoval: input.backgroundRemoval,
+      colourway: input.colourway,
+      cutLines: input.cutLines,
+      proof: input.proof,
+      // Each key gets its own images, so one customer's image ID never names another's
+      ...(input.createdBy && { createdBy: input.createdBy })
+    }
+  );
+}
+
+// URL of an image's preset thumbnail, generated when the image is processed
+function thumbnailUrl(baseUrl, imageId) {
+  return `${baseUrl}/api/image/${imageId}?preset=thumbnail`;
+}
+
+// Record fields returned by the processing endpoints; the rest is served as image metadata
+const RESULT_FIELDS = ['imageId', 'format', 'layout', 'collarId', 'colourway', 'width', 'height', 'bytes', 'gap', 'panels', 'print', 'cutLines', 'proof'];
+
+function resultSummary(record) {
+  return Object.fromEntries(RESULT_FIELDS.filter(field => field in record).map(field => [field, record[field]]));
+}
+
+// An image's fields with the download URLs of its cut-line files added, when it has them
+function addCutLineUrls(fields, baseUrl) {
+  if (!fields.cutLines) {
+    return fields;
+  }
+  const urls = Object.keys(CUT_LINE_FORMATS).map(format => [
+    `${format}Url`,
+    `${baseUrl}/api/image/${fields.imageId}/cut-lines.${format}`
+  ]);
+  return { ...fields, cutLines: { ...fields.cutLines, ...Object.fromEntries(urls) } };
+}
+
+// Metadata record for a newly processed image: the processing result plus what went in,
+// so the image can be traced back to its uploads and requested again
+function imageRecord(input, info, processingMs) {
+  const inputs = {};
+  Object.entries(info.inputs).forEach(([name, source]) => {
+    inputs[name] = { filename: input.filenames[name], sha256: input.digests[name], ...source };
+  });
+  
+  return {
+    imageId: input.cacheKey,
+    format: input.output.format,
+    layout: input.layout.name,
+    collarId: input.collar.id,
+    width: info.width,
+    height: info.height,
+    gap: info.gap,
+    panels: info.panels,
+    ...(info.cutLines && {
+      cutLines: { offset: info.cutLines.offset, smoothing: info.cutLines.smoothing, paths: info.cutLines.paths.length }
+    }),
+    createdAt: new Date().toISOString(),
+    createdBy: input.createdBy,
+    processingMs,
+    inputs,
+    collar: input.collar.id ? { id: input.collar.id, sha256: input.digests.collar, ...input.collar.placement } : null,
+    ...(input.colourway && { colourway: input.colourway }),
+    // Sending the same files with these fields to POST /api/process-jersey recreates the image
+    reproduce: {
+      pipelineVersion: resultCache.pipelineVersion,
+      fields: input.fields
+    }
+  };
+}
+
+// The stored result for a request's cache key, or null when it has not been processed yet
+// or its image has since been removed
+async function getCachedResult(input) {
+  const record = resultCache.get(input.cacheKey);
+  if (!record) {
+    return null;
+  }
+  
+  // Handing the image out again restarts its retention time
+  const key = outputKey(input.cacheKey, record.format);
+  try {
+    await outputStorage.touch(key);
+  } catch (error) {
+    return null;
+  }
+  
+  return {
+    ...addCutLineUrls(resultSummary(record), input.baseUrl),
+    downloadUrl: await downloadUrl(record, input.baseUrl),
+    thumbnailUrl: thumbnailUrl(input.baseUrl, input.cacheKey),
+    cached: true
+  };
+}
+
+// Run the pipeline for one image, resolving with { data, info, processingMs }. The duration
+// and per-stage timings go to the metrics and the log, with `details` such as the source file.
+async function processImage(log, details, inputPath, collarPath, gap, options) {
+  const startedAt = performance.now();
+  try {
+    const { data, info } = await processJerseyImage(inputPath, collarPath, gap, { ...options, resolveWithObject: true });
+    const processingMs = Math.round(performance.now() - startedAt);
+    metrics.observeProcessing({ outcome: 'success', seconds: processingMs / 1000, timings: info.timings });
+    log.info('Image processed', {
+      ...details,
+      width: info.width,
+      height: info.height,
+      bytes: data.length,
+      processingMs,
+      timings: info.timings
+    });
+    return { data, info, processingMs };
+  } catch (error) {
+    metrics.observeProcessing({ outcome: 'failure', seconds: (performance.now() - startedAt) / 1000 });
+    log.warn('Image processing failed', { ...details, error });
+    throw error;
+  }
+}
+
+// Store an image's cut lines (info.cutLines from processJerseyImage) next to it, as SVG and
+// as a PDF with the template
+async function storeCutLines(imageId, buffer, info) {
+  const files = {
+    svg: Buffer.from(renderCutLineSvg(info.cutLines, info.width, info.height)),
+    pdf: await renderCutLinePdf(buffer, info.cutLines)
+  };
+  for (const [format, file] of Object.entries(files)) {
+    await outputStorage.put(cutLineKey(imageId, format), file, { contentType: CUT_LINE_FORMATS[format].contentType });
+  }
+}
+
+// Process an upload and store the template under its cache key (set by cacheKeyFor), unless
+// an identical request already has; uploaded files are removed afterwards
+async function renderJersey(input) {
+  try {
+    const cached = await getCachedResult(input);
+    if (cached) {
+      return cached;
+    }
+    
+    const outputId = input.cacheKey;
+    const outputFilename = outputKey(outputId, input.output.format);
+    
+    // Process the image
+    const { data: processedBuffer, info, processingMs } = await processImage(
+      input.log,
+      { imageId: outputId, layout: input.layout.name, format: input.output.format },
+      input.inputPath,
+      input.collar.path,
+      input.gap,
+      processingOptions(input)
+    );
+    
+    // A proof goes first: once it is stored, the master is no longer served publicly
+    let proof = null;
+    if (input.proof) {
+      proof = await renderProof(processedBuffer, input.proof);
+      await outputStorage.put(proofKey(outputId), proof.data, {
+        contentType: OUTPUT_FORMATS[PROOF_FORMAT].contentType
+      });
+    }
+    
+    // Save processed image, already encoded in the requested format. Drivers store it
+    // atomically, so an identical request finishing meanwhile never serves a partial file.
+    await outputStorage.put(outputFilename, processedBuffer, {
+      contentType: OUTPUT_FORMATS[input.output.format].contentType
+    });
+    
+    // Previews use the thumbnail, so make it now while the image is in memory. A proofed
+    // image's previews are made from its proof, like every other public variant of it.
+    if (proof) {
+      await storeVariant({ imageId: outputId, format: PROOF_FORMAT }, PRESETS.thumbnail, proof.data);
+    } else {
+      await storeVariant({ imageId: outputId, format: input.output.format }, PRESETS.thumbnail, processedBuffer);
+    }
+    
+    if (info.cutLines) {
+      await storeCutLines(outputId, processedBuffer, info);
+    }
+    
+    const record = imageRecord(input, info, processingMs);
+    record.bytes = processedBuffer.length;
+    
+    // Report the physical size of print exports
+    if (input.print) {
+      record.print = await getPrintInfo(processedBuffer, input.print, info.artwork);
+    }
+    if (proof) {
+      const { size, ...watermark } = input.proof;
+      record.proof = { width: proof.info.width, height: proof.info.height, bytes: proof.data.length, watermark };
+    }
+    resultCache.set(outputId, record);
+    await retention.enforceQuota(outputId);
+    
+    return {
+      ...addCutLineUrls(resultSummary(record), input.baseUrl),
+      downloadUrl: await downloadUrl(record, input.baseUrl),
+      thumbnailUrl: thumbnailUrl(input.baseUrl, outputId),
+      cached: false
+    };
+  } finally {
+    removeFiles(input.uploadedFiles);
+  }
+}
+
+// The input for one colourway of a request: its recolouring, and form fields that recreate
+// just this colourway, with palette positions spelled out as source colours
+function colourwayInput(input, name, mapping, tolerance) {
+  const { colourways, paletteSize, ...fields } = input.fields;
+  const map = Object.fromEntries(mapping.map(pair => [pair.source, pair.target]));
+  return {
+    ...input,
+    colourway: { name, mapping, tolerance },
+    fields: { ...fields, colourways: JSON.stringify([{ name, map }]) },
+    uploadedFiles: []
+  };
+}
+
+// Render one template per colourway of a request, each stored and cached under its own image
+// ID like a single image. The palette is extracted from the trimmed front first, to line up
+// colourways given as `colours`. Uploaded files are removed afterwards.
+// Resolves with { palette, colourways: [result] }.
+async function renderColourways(input) {
+  try {
+    const { variants, paletteSize, tolerance } = input.colourways;
+    const front = await trimJerseyImage(input.inputPath, input.backgroundRemoval);
+    const palette = await extractPalette(front.buffer, paletteSize, tolerance);
+    
+    // Check every colourway against the palette before rendering any of them
+    let mappings;
+    try {
+      mappings = variants.map(variant => resolveColourMapping(variant, palette));
+    } catch (error) {
+      throw new ApiError(400, 'invalid_parameter', error.message, { palette });
+    }
+    
+    const results = [];
+    for (const [index, variant] of variants.entries()) {
+      const variantInput = colourwayInput(input, variant.name, mappings[index], tolerance);
+      variantInput.cacheKey = await cacheKeyFor(variantInput);
+      try {
+        const result = await renderJersey(variantInput);
+        notifyCallback(variantInput, { result });
+        results.push(result);
+      } catch (error) {
+        notifyCallback(variantInput, { error });
+        throw error;
+      }
+    }
+    return { palette, colourways: results };
+  } finally {
+    removeFiles(input.uploadedFiles);
+  }
+}
+
+// POST the outcome of a request to its callbackUrl, if it has one: `result` from
+// renderJersey, or the `error` it failed with. Failures before the image ID is known
+// cannot be filed and are not sent.
+function notifyCallback(input, { result, error, jobId = null }) {
+  if (!input || !input.callbackUrl || !input.cacheKey) {
+    return;
+  }
+  
+  const payload = result
+    ? {
+      event: 'image.processed',
+      jobId,
+      ...resultSummary(result),
+      downloadUrl: result.downloadUrl,
+      thumbnailUrl: result.thumbnailUrl,
+      cached: result.cached
+    }
+    : {
+      event: 'image.failed',
+      jobId,
+      ...errorBody(error instanceof ApiError ? error : new ApiError(500, 'processing_failed', error.message))
+    };
+  
+  try {
+    webhooks.send(input.cacheKey, input.callbackUrl, { ...payload, requestId: input.requestId });
+  } catch (queueError) {
+    input.log.error('Webhook could not be queued', { error: queueError });
+  }
+}
+
+// Upload and process jersey image
+app.post('/api/process-jersey', jerseyUploadFields, validateUploads, async (req, res) => {
+  let reserved = 0;
+  let delivered = {};
+  let input;
+  try {
+    try {
+      input = getJerseyInput(req);
+      await webhooks.checkUrl(input && input.callbackUrl);
+    } catch (error) {
+      cleanupUploads(req);
+      return sendError(res, error, 400, 'invalid_parameter');
+    }
+    
+    if (!input) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'missing_file', 'No image file provided'));
+    }
+    
+    const count = input.colourways ? input.colourways.variants.length : 1;
+    if (!reserveImages(req, res, count)) {
+      cleanupUploads(req);
+      return;
+    }
+    reserved = count;
+    
+    // Colourways are rendered one after another in a single processing slot
+    if (input.colourways) {
+      const job = jobQueue.add(() => renderColourways(input));
+      holdUploads(req, job.promise);
+      const { palette, colourways } = await job.promise;
+      delivered = {
+        images: colourways.length,
+        bytesOut: colourways.reduce((sum, result) => sum + (result.bytes || 0), 0)
+      };
+      
+      return res.json({
+        success: true,
+        message: 'Jersey colourways processed successfully',
+        palette,
+        colourways: colourways.map(result => ({ name: result.colourway.name, ...result }))
+      });
+    }
     
-    if (mimetype && extname) {
-      return cb(null, true);
+    // Identical requests are answered from the cache without waiting for a processing slot;
+    // otherwise wait for a free slot, then for the result
+    input.cacheKey = await cacheKeyFor(input);
+    let result = await getCachedResult(input);
+    if (result) {
+      cleanupUploads(req);
     } else {
-      cb(new Error('Only image files are allowed!'));
+      const job = jobQueue.add(() => renderJersey(input));
+      holdUploads(req, job.promise);
+      result = await job.promise;
     }
+    delivered = { images: 1, bytesOut: result.bytes || 0 };
+    notifyCallback(input, { result });
+    
+    res.json({
+      success: true,
+      message: 'Jersey image processed successfully',
+      downloadUrl: result.downloadUrl,
+      thumbnailUrl: result.thumbnailUrl,
+      imageId: result.imageId,
+      cached: result.cached,
+      format: result.format,
+      layout: result.layout,
+      collarId: result.collarId,
+      width: result.width,
+      height: result.height,
+      bytes: result.bytes,
+      gap: result.gap,
+      panels: result.panels,
+      ...(result.print && { print: result.print }),
+      ...(result.cutLines && { cutLines: result.cutLines }),
+      ...(result.proof && { proof: result.proof })
+    });
+  } catch (error) {
+    req.log.error('Processing error', { error });
+    notifyCallback(input, { error });
+    
+    // Clean up uploaded files on error
+    cleanupUploads(req);
+    
+    sendError(res, error, 500, 'processing_failed');
+  } finally {
+    finishImageUsage(req, reserved, delivered);
   }
 });
 
-// Helper function to find actual content bounds (ignoring transparent edges)
-async function getContentBounds(imageBuffer) {
-  const { data, info } = await sharp(imageBuffer).raw().ensureAlpha().toBuffer({ resolveWithObject: true });
-  const channels = info.channels;
-  const alphaThreshold = 1; // Consider pixels with alpha > 1 as content
+// Queue a jersey image for background processing
+app.post('/api/jobs', jerseyUploadFields, validateUploads, async (req, res) => {
+  let input;
+  try {
+    input = getJerseyInput(req);
+    await webhooks.checkUrl(input && input.callbackUrl);
+  } catch (error) {
+    cleanupUploads(req);
+    return sendError(res, error, 400, 'invalid_parameter');
+  }
   
-  let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
+  if (!input) {
+    cleanupUploads(req);
+    return sendError(res, new ApiError(400, 'missing_file', 'No image file provided'));
+  }
   
-  // Find top edge
-  for (let y = 0; y < info.height && minY === info.height; y++) {
-    for (let x = 0; x < info.width; x++) {
-      const idx = (y * info.width + x) * channels;
-      const alpha = channels === 4 ? data[idx + 3] : 255;
-      if (alpha > alphaThreshold) {
-        minY = y;
-        break;
-      }
+  if (input.colourways) {
+    cleanupUploads(req);
+    return sendError(res, new ApiError(400, 'invalid_parameter', 'colourways are only supported by POST /api/process-jersey'));
+  }
+  
+  if (!reserveImages(req, res, 1)) {
+    cleanupUploads(req);
+    return;
+  }
+  
+  try {
+    input.cacheKey = await cacheKeyFor(input);
+  } catch (error) {
+    req.log.error('Cache key error', { error });
+    cleanupUploads(req);
+    finishImageUsage(req, 1);
+    return sendError(res, error, 500, 'internal_error');
+  }
+  
+  const job = jobQueue.add(() => renderJersey(input));
+  holdUploads(req, job.promise);
+  job.promise.then(
+    result => {
+      finishImageUsage(req, 1, { images: 1, bytesOut: result.bytes || 0 });
+      notifyCallback(input, { result, jobId: job.id });
+    },
+    error => {
+      req.log.error('Job failed', { jobId: job.id, error });
+      finishImageUsage(req, 1);
+      notifyCallback(input, { error, jobId: job.id });
     }
+  );
+  
+  res.status(202).json({
+    success: true,
+    ...jobQueue.describe(job),
+    statusUrl: `${input.baseUrl}/api/jobs/${job.id}`
+  });
+});
+
+// Get the status of a queued job
+app.get('/api/jobs/:jobId', async (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  
+  if (!job) {
+    return sendError(res, new ApiError(404, 'job_not_found', 'Job not found'));
   }
   
-  // Find bottom edge
-  for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
-    for (let x = 0; x < info.width; x++) {
-      const idx = (y * info.width + x) * channels;
-      const alpha = channels === 4 ? data[idx + 3] : 255;
-      if (alpha > alphaThreshold) {
-        maxY = y;
-        break;
-      }
+  const view = jobQueue.describe(job);
+  if (job.error) {
+    view.error = errorBody(job.error instanceof ApiError ? job.error : new ApiError(500, 'processing_failed', job.error.message)).error;
+  }
+  
+  // Signed URLs expire, so hand out a fresh one each time the job is polled
+  if (view.result) {
+    try {
+      const baseUrl = req.protocol + '://' + req.get('host');
+      view.result = { ...view.result, downloadUrl: await downloadUrl(view.result, baseUrl) };
+    } catch (error) {
+      req.log.error('Job download URL error', { jobId: job.id, error });
     }
   }
   
-  // Find left edge
-  for (let x = 0; x < info.width && minX === info.width; x++) {
-    for (let y = minY; y <= maxY; y++) {
-      const idx = (y * info.width + x) * channels;
-      const alpha = channels === 4 ? data[idx + 3] : 255;
-      if (alpha > alphaThreshold) {
-        minX = x;
-        break;
-      }
+  res.json(view);
+});
+
+// Read the image entries of an uploaded ZIP into memory, checking each one like an uploaded
+// image. Entries that fail carry an ApiError as `error`, to be reported in the manifest.
+async function readZipImages(zipPath) {
+  const imageExtensions = /\.(jpeg|jpg|png|gif|webp)$/i;
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (error) {
+    throw new ApiError(400, 'invalid_archive', `The ZIP archive could not be read: ${error.message}`);
+  }
+  entries = entries.filter(entry =>
+    !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    imageExtensions.test(entry.entryName)
+  );
+  
+  if (entries.length > BATCH_MAX_FILES) {
+    throw new ApiError(400, 'too_many_files', `Archive contains more than ${BATCH_MAX_FILES} images`);
+  }
+  
+  const images = [];
+  for (const entry of entries) {
+    // Check the declared size before inflating, so a ZIP bomb is never expanded
+    if (entry.header.size > UPLOAD_MAX_BYTES) {
+      images.push({
+        name: entry.entryName,
+        error: new ApiError(413, 'file_too_large', `File too large. Maximum size is ${UPLOAD_MAX_BYTES / 1024 / 1024}MB`)
+      });
+      continue;
+    }
+    
+    try {
+      const input = entry.getData();
+      await validateImage(input, IMAGE_LIMITS);
+      images.push({ name: entry.entryName, input });
+    } catch (error) {
+      images.push({
+        name: entry.entryName,
+        error: error instanceof ApiError ? error : new ApiError(400, 'invalid_archive', `The entry could not be extracted: ${error.message}`)
+      });
     }
   }
+  return images;
+}
+
+// Pick a unique name with the given extension inside the output ZIP for a source file
+function uniqueOutputName(sourceName, extension, usedNames) {
+  const safeName = sanitizeFilename(path.basename(sourceName), 'jersey');
+  const base = path.basename(safeName, path.extname(safeName)) || 'jersey';
+  let name = `${base}.${extension}`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${base}-${i}.${extension}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+// Stream a ZIP of queued templates plus manifest.json to the response.
+// Each task is { source, name, promise, error, details }: `promise` resolves with the
+// processed { data, info }, or is null when `error` (an ApiError) explains why the entry
+// was skipped. Failures are listed with the error body's { code, message }.
+// `details` (optional) are copied into the task's manifest entry.
+// Resolves with the number of templates written and their total size as { images, bytesOut }.
+async function streamTemplateZip(res, tasks, manifest, extension) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => {
+    res.req.log.error('Batch archive error', { error });
+    res.destroy(error);
+  });
+  
+  res.attachment(`jerseys-${uuidv4()}.zip`);
+  archive.pipe(res);
   
-  // Find right edge
-  for (let x = info.width - 1; x >= 0 && maxX === 0; x--) {
-    for (let y = minY; y <= maxY; y++) {
-      const idx = (y * info.width + x) * channels;
-      const alpha = channels === 4 ? data[idx + 3] : 255;
-      if (alpha > alphaThreshold) {
-        maxX = x;
-        break;
+  manifest.outputs = [];
+  manifest.failures = [];
+  const usedNames = new Set(['manifest.json']);
+  let bytes = 0;
+  
+  for (const task of tasks) {
+    try {
+      if (task.error) {
+        throw task.error;
+      }
+      
+      const { data, info } = await task.promise;
+      const file = uniqueOutputName(task.name, extension, usedNames);
+      
+      archive.append(data, { name: file });
+      bytes += data.length;
+      
+      // Cut lines go next to their template, under the same name
+      let cutLinesFile;
+      if (info.cutLines) {
+        cutLinesFile = file.replace(/\.[^.]+$/, '.svg');
+        archive.append(renderCutLineSvg(info.cutLines, info.width, info.height), { name: cutLinesFile });
       }
+      
+      manifest.outputs.push({
+        source: task.source,
+        file,
+        ...(cutLinesFile && { cutLines: cutLinesFile }),
+        width: info.width,
+        height: info.height,
+        gap: info.gap,
+        ...task.details,
+        panels: info.panels
+      });
+    } catch (error) {
+      const failure = error instanceof ApiError ? error : new ApiError(500, 'processing_failed', error.message);
+      manifest.failures.push({ source: task.source, ...task.details, ...errorBody(failure) });
     }
   }
   
-  return { 
-    top: minY, 
-    bottom: maxY, 
-    left: minX,
-    right: maxX,
-    height: maxY - minY + 1,
-    width: maxX - minX + 1
-  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  
+  return { images: manifest.outputs.length, bytesOut: bytes };
 }
 
-// Main image processing function
-async function processJerseyImage(inputPath, collarPath = null, gapBetweenImages = -18) {
+// Process many jerseys and stream back a ZIP of the templates plus a manifest
+app.post('/api/process-batch', batchUpload, validateUploads, async (req, res) => {
+  const files = req.files || {};
+  let reserved = 0;
+  let delivered = {};
+  
   try {
-    // 1. Load and trim the input image
-    const inputImage = sharp(inputPath).ensureAlpha();
-    const originalMeta = await inputImage.metadata();
-    
-    // Try standard trim first
-    let trimmedImage = inputImage.trim({ threshold: 0 });
-    let trimmedBuffer = await trimmedImage.toBuffer();
-    let { width, height } = await sharp(trimmedBuffer).metadata();
-    
-    // If trim didn't reduce size, use custom transparent trim
-    if (originalMeta.width === width && originalMeta.height === height) {
-      const { data, info } = await inputImage.raw().ensureAlpha().toBuffer({ resolveWithObject: true });
-      const channels = info.channels;
-      const alphaThreshold = 5;
-      
-      let minX = info.width, minY = info.height, maxX = 0, maxY = 0;
-      let hasContent = false;
-      
-      // Find content bounds
-      for (let y = 0; y < info.height && minY === info.height; y++) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            minY = y;
-            hasContent = true;
-            break;
-          }
-        }
+    let entries;
+    if (files.archive) {
+      entries = await readZipImages(files.archive[0].path);
+    } else {
+      entries = (files.image || []).map(file => ({ name: file.originalname, input: file.path }));
+    }
+    
+    if (entries.length === 0) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'missing_file', 'No image files provided'));
+    }
+    
+    // Shared gap, optionally overridden per file with a JSON map of { filename: gap }
+    let gaps = {};
+    if (req.body.gaps) {
+      try {
+        gaps = JSON.parse(req.body.gaps);
+      } catch (error) {
+        gaps = null;
       }
-      
-      for (let y = info.height - 1; y >= 0 && maxY === 0; y--) {
-        for (let x = 0; x < info.width; x++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            maxY = y;
-            hasContent = true;
-            break;
-          }
-        }
+      if (!gaps || typeof gaps !== 'object' || Array.isArray(gaps)) {
+        cleanupUploads(req);
+        return sendError(res, new ApiError(400, 'invalid_parameter', 'gaps must be a JSON object of { filename: gap }'));
       }
+    }
+    
+    let sharedGap;
+    let output;
+    let collar;
+    let layout;
+    let backgroundRemoval;
+    try {
+      sharedGap = parseGap(req.body.gap);
+      output = parseOutputOptions(req.body);
+      collar = resolveCollar(req.body);
+      layout = resolveLayout(req.body);
+      backgroundRemoval = parseBackgroundRemoval(req.body);
+    } catch (error) {
+      cleanupUploads(req);
+      return sendError(res, error, 400, 'invalid_parameter');
+    }
+    const extension = OUTPUT_FORMATS[output.format].extension;
+    
+    reserved = entries.filter(entry => !entry.error).length;
+    if (!reserveImages(req, res, reserved)) {
+      reserved = 0;
+      return;
+    }
+    
+    // Queue every entry up front so they share the processing concurrency limit
+    const tasks = entries.map(entry => {
+      const task = { source: entry.name, name: entry.name, promise: null };
       
-      for (let x = 0; x < info.width && minX === info.width; x++) {
-        for (let y = minY; y <= maxY; y++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            minX = x;
-            hasContent = true;
-            break;
-          }
-        }
+      if (entry.error) {
+        return { ...task, error: entry.error };
       }
       
-      for (let x = info.width - 1; x >= 0 && maxX === 0; x--) {
-        for (let y = minY; y <= maxY; y++) {
-          const idx = (y * info.width + x) * channels;
-          const alpha = channels === 4 ? data[idx + 3] : 255;
-          if (alpha > alphaThreshold) {
-            maxX = x;
-            hasContent = true;
-            break;
-          }
-        }
+      const gapValue = gaps[entry.name] ?? gaps[path.basename(entry.name)];
+      let gap;
+      try {
+        gap = gapValue !== undefined ? parseGap(gapValue) : sharedGap;
+      } catch (error) {
+        return { ...task, error: new ApiError(400, 'invalid_parameter', error.message) };
       }
       
-      if (hasContent && minX < maxX && minY < maxY) {
-        const contentWidth = maxX - minX + 1;
-        const contentHeight = maxY - minY + 1;
-        
-        if (minX > 0 || minY > 0 || maxX < info.width - 1 || maxY < info.height - 1) {
-          trimmedImage = inputImage.extract({
-            left: minX,
-            top: minY,
-            width: contentWidth,
-            height: contentHeight
-          });
-          trimmedBuffer = await trimmedImage.toBuffer();
-          const extractedMeta = await sharp(trimmedBuffer).metadata();
-          width = extractedMeta.width;
-          height = extractedMeta.height;
-        }
-      }
+      const job = jobQueue.add(() => processImage(
+        req.log,
+        { source: entry.name },
+        entry.input,
+        collar.path,
+        gap,
+        { output, collar: collar.placement, layout, backgroundRemoval }
+      ));
+      return { ...task, promise: job.promise };
+    });
+    
+    holdUploads(req, Promise.allSettled(tasks.map(task => task.promise).filter(Boolean)));
+    
+    delivered = await streamTemplateZip(res, tasks, {
+      createdAt: new Date(),
+      format: output.format,
+      layout: layout.name,
+      total: entries.length
+    }, extension);
+  } catch (error) {
+    req.log.error('Batch processing error', { error });
+    
+    if (!res.headersSent) {
+      sendError(res, error, 500, 'processing_failed');
+    }
+  } finally {
+    cleanupUploads(req);
+    finishImageUsage(req, reserved, delivered);
+  }
+});
+
+// File name for a roster row's template inside the ZIP, e.g. `10-SMITH`
+function rosterFileName(player) {
+  const label = [player.number, player.name.toUpperCase()].filter(Boolean).join('-');
+  return label.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || `row-${player.row}`;
+}
+
+// Personalise one design for every player in a roster CSV and stream back a ZIP
+app.post('/api/process-roster', rosterUpload, validateUploads, async (req, res) => {
+  const files = req.files || {};
+  let reserved = 0;
+  let delivered = {};
+  
+  try {
+    const rosterFile = (files.roster || [])[0];
+    if (!rosterFile) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'missing_file', 'No roster CSV provided'));
     }
     
-    // 2. Create flipped back version
-    const backSide = await sharp(trimmedBuffer).flip().toBuffer();
-    const frontSide = trimmedBuffer;
+    let input;
+    let style;
+    let roster;
+    try {
+      input = getJerseyInput(req);
+      style = parseTextStyle(req.body);
+      roster = parseRoster(fs.readFileSync(rosterFile.path, 'utf8'), ROSTER_MAX_ROWS);
+    } catch (error) {
+      cleanupUploads(req);
+      return sendError(res, error, 400, 'invalid_parameter');
+    }
     
-    // 3. Get content bounds for positioning
-    const backBounds = await getContentBounds(backSide);
-    const frontBounds = await getContentBounds(frontSide);
+    if (!input) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'missing_file', 'No image file provided'));
+    }
+    if (input.colourways) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'invalid_parameter', 'colourways are only supported by POST /api/process-jersey'));
+    }
+    // Roster templates go straight back to the caller and are never stored, so there is
+    // nothing to proof
+    if (input.proof) {
+      cleanupUploads(req);
+      return sendError(res, new ApiError(400, 'invalid_parameter', 'proof is only supported by POST /api/process-jersey and POST /api/jobs'));
+    }
+    const extension = OUTPUT_FORMATS[input.output.format].extension;
     
-    // 4. Load and prepare collar image (if provided)
-    let collarBuffer = null;
-    let collarWidth = 0;
-    let collarHeight = 0;
-    let collarLeft = 0;
-    let collarTop = 0;
+    if (!reserveImages(req, res, roster.length)) {
+      return;
+    }
+    reserved = roster.length;
     
-    if (collarPath && fs.existsSync(collarPath)) {
-      const collarImage = sharp(collarPath).ensureAlpha();
-      const collarMeta = await collarImage.metadata();
-      collarWidth = Math.floor(collarMeta.width * 0.5);
-      collarHeight = Math.floor(collarMeta.height * 0.5);
+    // One job per player; invalid rows are reported in the manifest instead of failing the batch
+    const tasks = roster.map(player => {
+      const task = {
+        source: `row ${player.row}`,
+        name: rosterFileName(player),
+        promise: null,
+        details: { name: player.name, number: player.number }
+      };
       
-      collarBuffer = await collarImage
-        .resize(collarWidth, collarHeight, { 
-          kernel: sharp.kernel.lanczos3
-        })
-        .toBuffer();
+      let personalisation;
+      try {
+        personalisation = { ...parsePlayer(player.name, player.number), style };
+      } catch (error) {
+        return { ...task, error: new ApiError(400, 'invalid_parameter', error.message) };
+      }
       
-      collarLeft = Math.floor((width - collarWidth) / 2);
-    }
-    
-    // 5. Stack jersey parts with configurable gap
-    const backTop = 0 - backBounds.top;
-    const backBottomContentY = backTop + backBounds.bottom;
-    const frontTop = backBottomContentY + gapBetweenImages - frontBounds.top;
-    const frontBottomContentY = frontTop + frontBounds.bottom;
-    const totalHeight = frontBottomContentY + 1;
-    
-    const compositeLayers = [
-      { input: backSide, top: backTop, left: 0 },
-      { input: frontSide, top: frontTop, left: 0 }
-    ];
-    
-    if (collarBuffer) {
-      collarTop = Math.floor((totalHeight - collarHeight) / 2);
-      compositeLayers.push({
-        input: collarBuffer,
-        top: collarTop,
-        left: collarLeft
-      });
-    }
+      const job = jobQueue.add(() => processImage(
+        req.log,
+        { source: task.source },
+        input.inputPath,
+        input.collar.path,
+        input.gap,
+        { ...processingOptions(input), personalisation }
+      ));
+      return { ...task, promise: job.promise };
+    });
     
-    // 6. Create final composite image
-    const outputBuffer = await sharp({
-      create: {
-        width: width,
-        height: totalHeight,
-        channels: 4,
-        background: { r: 0, g: 0, b: 0, alpha: 0 }
-      }
-    })
-    .composite(compositeLayers)
-    .png()
-    .toBuffer();
+    holdUploads(req, Promise.allSettled(tasks.map(task => task.promise).filter(Boolean)));
     
-    return outputBuffer;
+    delivered = await streamTemplateZip(res, tasks, {
+      createdAt: new Date(),
+      format: input.output.format,
+      layout: input.layout.name,
+      total: roster.length
+    }, extension);
   } catch (error) {
-    throw new Error(`Image processing failed: ${error.message}`);
+    req.log.error('Roster processing error', { error });
+    
+    if (!res.headersSent) {
+      sendError(res, error, 500, 'processing_failed');
+    }
+  } finally {
+    cleanupUploads(req);
+    finishImageUsage(req, reserved, delivered);
+  }
+});
+
+// Limits and usage of the calling API key
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return sendError(res, new ApiError(404, 'api_keys_disabled', 'API keys are not enabled'));
+  }
+  
+  res.json(apiKeys.describe(req.apiKey));
+});
+
+// Limits and usage of every API key, or one key by ID; admin keys only
+function requireAdmin(req, res, next) {
+  if (!req.apiKey || !req.apiKey.admin) {
+    return sendError(res, new ApiError(403, 'admin_required', 'Admin API key required'));
   }
+  next();
 }
 
-// API Routes
+// Whether the request may see and manage a stored image or collar: with API keys configured,
+// only the key that created it or an admin key may
+function ownsRecord(req, record) {
+  return !req.apiKey || req.apiKey.admin || Boolean(record && record.createdBy === req.apiKey.id);
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Jersey Image Processing API is running' });
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list().map(key => apiKeys.describe(key)) });
 });
 
-// Upload and process jersey image
-app.post('/api/process-jersey', upload.single('image'), async (req, res) => {
+app.get('/api/admin/usage/:keyId', requireAdmin, (req, res) => {
+  const key = apiKeys.get(req.params.keyId);
+  
+  if (!key) {
+    return sendError(res, new ApiError(404, 'api_key_not_found', 'API key not found'));
+  }
+  
+  res.json(apiKeys.describe(key));
+});
+
+// List available layout presets
+app.get('/api/layouts', (req, res) => {
+  res.json({
+    default: DEFAULT_LAYOUT,
+    layouts: [...getLayouts().values()].map(describeLayout)
+  });
+});
+
+// Upload a new collar asset
+app.post('/api/collars', upload.single('collar'), validateUploads, async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+      return sendError(res, new ApiError(400, 'missing_file', 'No collar image provided'));
     }
     
-    const inputPath = req.file.path;
-    const outputId = uuidv4();
-    const outputFilename = `${outputId}.png`;
-    const outputPath = path.join(outputsDir, outputFilename);
+    const collar = await collarLibrary.add(req.file.path, {
+      name: req.body.name || path.basename(req.file.safeName, path.extname(req.file.safeName)),
+      style: req.body.style || null,
+      createdBy: req.apiKey ? req.apiKey.id : null
+    });
     
-    // Optional: Check if collar image exists in assets directory
-    const collarPath = path.join(__dirname, 'assets', 'Jersey-Collar.png');
-    const collarExists = fs.existsSync(collarPath);
+    res.status(201).json({ success: true, collar });
+  } catch (error) {
+    req.log.error('Collar upload error', { error });
+    sendError(res, error, 500, 'internal_error');
+  } finally {
+    cleanupUploads(req);
+  }
+});
+
+// List available collar assets
+app.get('/api/collars', (req, res) => {
+  res.json({ collars: collarLibrary.list() });
+});
+
+// Delete an uploaded collar asset; only its own key or an admin key may
+app.delete('/api/collars/:collarId', (req, res) => {
+  const collar = collarLibrary.get(req.params.collarId);
+  
+  if (collar && collar.builtIn) {
+    return sendError(res, new ApiError(400, 'collar_built_in', 'The built-in collar cannot be deleted'));
+  }
+  if (!collar || !ownsRecord(req, collar)) {
+    return sendError(res, new ApiError(404, 'collar_not_found', 'Collar not found'));
+  }
+  
+  collarLibrary.remove(collar.id);
+  res.json({ success: true, message: 'Collar deleted' });
+});
+
+// Variants being generated, by storage key, so concurrent requests for one share the work
+const pendingVariants = new Map();
+
+// Resize an encoded image into a variant and store it; resolves with the variant's key.
+// `image` is { imageId, format } of the processed image the buffer holds.
+async function storeVariant(image, variant, buffer) {
+  const format = variant.format || image.format;
+  const key = variantKey(image.imageId, { ...variant, format });
+  await outputStorage.put(key, await renderVariant(buffer, { ...variant, format }), {
+    contentType: OUTPUT_FORMATS[format].contentType
+  });
+  return key;
+}
+
+// Storage key of a variant of a stored image (from findPublicImage), generated on first use
+async function ensureVariant(image, variant) {
+  const imageId = image.imageId;
+  const key = variantKey(imageId, { ...variant, format: variant.format || image.format });
+  
+  if (!pendingVariants.has(key)) {
+    const pending = (async () => {
+      if (await outputStorage.stat(key)) {
+        return key;
+      }
+      
+      // Resizing takes a processing slot like any other image work
+      const job = jobQueue.add(async () => {
+        const object = await outputStorage.get(image.key);
+        if (!object) {
+          throw new Error('Image not found');
+        }
+        return storeVariant({ imageId, format: image.format }, variant, await streamToBuffer(object.stream));
+      });
+      return job.promise;
+    })();
     
-    // Process the image
-    const gapBetweenImages = req.body.gap ? parseInt(req.body.gap) : -18;
-    const processedBuffer = await processJerseyImage(
-      inputPath, 
-      collarExists ? collarPath : null,
-      gapBetweenImages
-    );
+    pendingVariants.set(key, pending);
+    pending.finally(() => pendingVariants.delete(key)).catch(() => {});
+  }
+  return pendingVariants.get(key);
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Stream a stored file with caching headers, answering 304 when the client's copy is current
+async function sendStoredFile(req, res, key, contentType) {
+  res.type(contentType);
+  setImageCacheHeaders(res, key);
+  
+  // req.fresh compares If-None-Match with the ETag just set
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  const object = await outputStorage.get(key);
+  if (!object) {
+    return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+  }
+  res.set('Content-Length', object.bytes);
+  object.stream.on('error', error => res.destroy(error)).pipe(res);
+}
+
+// Metadata record with a download URL, for the history endpoints
+async function describeImage(record, req) {
+  const baseUrl = req.protocol + '://' + req.get('host');
+  return {
+    ...addCutLineUrls(record, baseUrl),
+    downloadUrl: await downloadUrl(record, baseUrl),
+    thumbnailUrl: thumbnailUrl(baseUrl, record.imageId),
+    metaUrl: `${baseUrl}/api/image/${record.imageId}/meta`
+  };
+}
+
+// List processed images, newest first, with filters and pagination. With API keys, a key
+// sees its own images and an admin key sees every image.
+app.get('/api/images', async (req, res, next) => {
+  let query;
+  try {
+    query = parseImageQuery(req.query);
+  } catch (error) {
+    return sendError(res, error, 400, 'invalid_parameter');
+  }
+  
+  try {
+    const page = queryImages(resultCache.list().filter(record => ownsRecord(req, record)), query);
+    const images = await Promise.all(page.images.map(record => describeImage(record, req)));
+    res.json({ ...page, images });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a processed image's metadata
+app.get('/api/image/:imageId/meta', async (req, res, next) => {
+  const record = isValidImageId(req.params.imageId) ? resultCache.get(req.params.imageId) : null;
+  
+  if (!record || !ownsRecord(req, record)) {
+    return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+  }
+  
+  try {
+    res.json(await describeImage(record, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Webhook deliveries for an image, oldest first, with every attempt
+app.get('/api/image/:imageId/webhooks', (req, res) => {
+  const imageId = req.params.imageId;
+  const record = isValidImageId(imageId) ? resultCache.get(imageId) : null;
+  const deliveries = isValidImageId(imageId) ? webhooks.history(imageId) : [];
+  
+  // Failed requests leave deliveries without a record; those are listed for admin keys only
+  if ((deliveries.length === 0 && !record) || !ownsRecord(req, record)) {
+    return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+  }
+  
+  res.json({ imageId, deliveries });
+});
+
+// Download an image's cut lines as SVG or PDF, when they were exported with it. A proofed
+// image's PDF holds its full-resolution master, so only its SVG is served.
+app.get('/api/image/:imageId/cut-lines.:format', async (req, res, next) => {
+  const { imageId, format } = req.params;
+  
+  try {
+    const key = Object.hasOwn(CUT_LINE_FORMATS, format) && isValidImageId(imageId) ? cutLineKey(imageId, format) : null;
+    if (!key || !await outputStorage.stat(key)) {
+      return sendError(res, new ApiError(404, 'cut_lines_not_found', 'No cut lines were exported with this image'));
+    }
+    if (format === 'pdf' && await isPrivateImage(imageId)) {
+      return sendError(res, new ApiError(404, 'cut_lines_not_found', 'The cut-line PDF of a proofed image is not available; use the SVG'));
+    }
     
-    // Save processed image
-    await sharp(processedBuffer).toFile(outputPath);
+    res.attachment(`${imageId}-cut-lines.${CUT_LINE_FORMATS[format].extension}`);
+    await sendStoredFile(req, res, key, CUT_LINE_FORMATS[format].contentType);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a token releasing a proofed image's full-resolution master, to hand to the customer
+// once they have paid. expiresIn (minutes) and uses (0 for unlimited) limit the token.
+// Only the key that created the image or an admin key may; others are told it does not exist.
+app.post('/api/image/:imageId/release', async (req, res, next) => {
+  let options;
+  try {
+    options = parseReleaseOptions(req.body);
+  } catch (error) {
+    return sendError(res, error, 400, 'invalid_parameter');
+  }
+  
+  try {
+    const { imageId } = req.params;
+    if (!await findOutputFile(imageId) || !ownsRecord(req, resultCache.get(imageId))) {
+      return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+    }
+    if (!await isPrivateImage(imageId)) {
+      return sendError(res, new ApiError(409, 'image_not_proofed', 'Image was not processed as a proof; its downloadUrl is the full-resolution image'));
+    }
     
-    // Clean up uploaded file
-    fs.unlinkSync(inputPath);
+    const release = releaseTokens.create(imageId, options, req.apiKey ? req.apiKey.id : null);
+    req.log.info('Master release created', { imageId, releaseId: release.id, expiresAt: release.expiresAt, uses: options.uses });
     
-    // Return download URL
     const baseUrl = req.protocol + '://' + req.get('host');
-    const downloadUrl = `${baseUrl}/outputs/${outputFilename}`;
-    
-    res.json({
-      success: true,
-      message: 'Jersey image processed successfully',
-      downloadUrl: downloadUrl,
-      imageId: outputId
+    res.status(201).json({
+      imageId,
+      releaseId: release.id,
+      token: release.token,
+      downloadUrl: `${baseUrl}/api/image/${imageId}/master?token=${release.token}`,
+      expiresAt: release.expiresAt,
+      uses: release.usesLeft
     });
   } catch (error) {
-    console.error('Processing error:', error);
+    next(error);
+  }
+});
+
+const RELEASE_ERRORS = {
+  invalid: new ApiError(403, 'invalid_release_token', 'Release token is missing or not valid for this image'),
+  expired: new ApiError(410, 'release_token_expired', 'Release token has expired'),
+  used: new ApiError(410, 'release_token_used', 'Release token has no downloads left')
+};
+
+// Download an image's full-resolution master with a release token, which stands in for the
+// API key. Every GET takes one of the token's uses; HEAD only checks it.
+app.get('/api/image/:imageId/master', async (req, res, next) => {
+  const { imageId } = req.params;
+  
+  try {
+    const image = await findOutputFile(imageId);
+    if (!image) {
+      return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+    }
     
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    const { status, record } = releaseTokens.redeem(imageId, req.query.token, { use: req.method === 'GET' });
+    if (status !== 'ok') {
+      return sendError(res, RELEASE_ERRORS[status]);
     }
+    req.log.info('Master released', { imageId, releaseId: record.id, usesLeft: record.usesLeft });
     
-    res.status(500).json({
-      error: 'Failed to process image',
-      message: error.message
-    });
+    // The URL carries the token, so neither it nor the file may be cached along the way
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    res.attachment(`${imageId}.${OUTPUT_FORMATS[image.format].extension}`);
+    res.type(image.contentType);
+    
+    const object = await outputStorage.get(image.key);
+    if (!object) {
+      return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+    }
+    res.set('Content-Length', object.bytes);
+    object.stream.on('error', error => res.destroy(error)).pipe(res);
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get processed image by ID
-app.get('/api/image/:imageId', (req, res) => {
-  const imageId = req.params.imageId;
-  const imagePath = path.join(outputsDir, `${imageId}.png`);
+// Get processed image by ID; a proofed image is served as its proof
+// width, height, fit and format (or preset=thumbnail) return a resized variant instead;
+// variants not stored yet are only made for requests with an API key, when keys are configured
+app.get('/api/image/:imageId', async (req, res, next) => {
+  let variant;
+  try {
+    variant = parseVariantOptions(req.query, { maxSize: VARIANT_MAX_SIZE });
+  } catch (error) {
+    return sendError(res, error, 400, 'invalid_parameter');
+  }
+  
+  try {
+    const image = await findPublicImage(req.params.imageId);
+    
+    if (!image) {
+      return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+    }
+    
+    if (!variant) {
+      return await sendStoredFile(req, res, image.key, image.contentType);
+    }
+    
+    // Stored variants are public like the image, but making a new one takes storage and a
+    // processing slot, so it needs a key when keys are configured
+    const stored = await outputStorage.stat(variantKey(req.params.imageId, { ...variant, format: variant.format || image.format }));
+    if (!stored && apiKeys.enabled && !checkApiKey(req, res)) {
+      return;
+    }
+    
+    const key = await ensureVariant(image, variant);
+    await sendStoredFile(req, res, key, OUTPUT_FORMATS[variant.format || image.format].contentType);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a processed image, in whatever formats it was saved, along with its cached result.
+// Only the key that created it or an admin key may.
+app.delete('/api/image/:imageId', async (req, res, next) => {
+  const record = isValidImageId(req.params.imageId) ? resultCache.get(req.params.imageId) : null;
   
-  if (fs.existsSync(imagePath)) {
-    res.sendFile(imagePath);
-  } else {
-    res.status(404).json({ error: 'Image not found' });
+  try {
+    if (!ownsRecord(req, record) || !await retention.removeImage(req.params.imageId)) {
+      return sendError(res, new ApiError(404, 'image_not_found', 'Image not found'));
+    }
+    
+    res.json({ success: true, message: 'Image deleted' });
+  } catch (error) {
+    next(error);
   }
 });
 
+// Unknown API routes
+app.use('/api', (req, res) => {
+  sendError(res, new ApiError(404, 'route_not_found', `No route for ${req.method} ${req.originalUrl}`));
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 10MB' });
+      const maxBytes = req.path === '/api/process-batch' ? BATCH_UPLOAD_MAX_BYTES : UPLOAD_MAX_BYTES;
+      return sendError(res, new ApiError(413, 'file_too_large', `File too large. Maximum size is ${maxBytes / 1024 / 1024}MB`, {
+        field: error.field,
+        maxBytes
+      }));
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return sendError(res, error, 400, 'too_many_files');
     }
-    return res.status(400).json({ error: error.message });
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return sendError(res, new ApiError(400, 'unexpected_field', `Unexpected file field: ${error.field}`, { field: error.field }));
+    }
+    return sendError(res, error, 400, 'invalid_upload');
+  }
+  
+  // Request bodies express.json could not read
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, error, 400, 'invalid_json');
+  }
+  if (error.expose && error.status < 500) {
+    return sendError(res, error, error.status, 'invalid_request');
   }
-  res.status(500).json({ error: error.message || 'Internal server error' });
+  
+  req.log.error('Unhandled error', { error });
+  sendError(res, error, 500, 'internal_error');
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Jersey Image Processing API running on port ${PORT}`);
-  console.log(`📁 Uploads directory: ${uploadsDir}`);
-  console.log(`📁 Outputs directory: ${outputsDir}`);
-  console.log(`\nEndpoints:`);
-  console.log(`  GET  /health - Health check`);
-  console.log(`  POST /api/process-jersey - Upload and process jersey image`);
-  console.log(`  GET  /api/image/:imageId - Get processed image by ID`);
-  console.log(`  GET  /outputs/:filename - Direct access to processed images`);
+  retention.start();
+  webhooks.start();
+  
+  if (!apiKeys.enabled) {
+    logger.warn('No API keys configured; /api routes are open to everyone', { file: apiKeys.file });
+  }
+  
+  logger.info('Jersey Image Processing API started', {
+    port: Number(PORT),
+    uploadsDir,
+    storage: outputStorage.name,
+    ...(outputStorage.directory ? { outputsDir: outputStorage.directory } : { bucket: outputStorage.bucket }),
+    concurrency: JOB_CONCURRENCY
+  });
 });